@@ -1,7 +1,7 @@
 // ============================================
 // DETECT IT EASY - UNIFIED JAVASCRIPT
 // GitHub API Integration + Performance Optimized
-// All CDN-free, all data cached in LocalStorage
+// All CDN-free, all data cached in IndexedDB
 // ============================================
 
 'use strict';
@@ -10,11 +10,35 @@
 const CONFIG = {
     GITHUB_REPO: 'horsicq/Detect-It-Easy',
     GITHUB_RELEASES_REPO: 'horsicq/DIE-engine',
+    GITHUB_BRANCH: 'master',
+    // Related tools, one card each in the ecosystem section
+    ECOSYSTEM: [
+        { repo: 'horsicq/XPEViewer', name: 'XPEViewer' },
+        { repo: 'horsicq/XELFViewer', name: 'XELFViewer' },
+        { repo: 'horsicq/XMachOViewer', name: 'XMachOViewer' },
+        { repo: 'horsicq/Nauz-File-Detector', name: 'Nauz File Detector' },
+        { repo: 'horsicq/XAPKDetector', name: 'XAPKDetector' },
+        { repo: 'horsicq/XNTSV', name: 'XNTSV' },
+        { repo: 'horsicq/XOpcodeCalc', name: 'XOpcodeCalc' }
+    ],
     GITHUB_API: 'https://api.github.com',
-    CACHE_PREFIX: 'die_',
+    GITHUB_RAW: 'https://raw.githubusercontent.com',
+    SITE_ROOT: new URL('..', document.currentScript ? document.currentScript.src : location.href).href,
+    CACHE_PREFIX: 'die_', // owned by the cache, which clears it on schema changes
+    SETTINGS_PREFIX: 'die-pref:', // choices and drafts the user made
+    CACHE_DB: 'die-cache',
     CACHE_DURATION: 30 * 60 * 1000, // 30 minutes
+    WIKI_DURATION: 60 * 60 * 1000, // 1 hour
+    OFFLINE_DURATION: 30 * 24 * 60 * 60 * 1000, // 30 days: stale data stays as the offline fallback
+    STATS_DURATION: 6 * 60 * 60 * 1000, // 6 hours
+    STATS_POLL_RETRIES: 2, // 202 answers still count against the rate limit
     PRELOADER_MIN_TIME: 1500,
     ANIMATION_THRESHOLD: 0.15,
+    INSPECTOR_MAX_SIZE: 256 * 1024 * 1024, // 256 MB
+    VERIFY_MAX_SIZE: 512 * 1024 * 1024, // 512 MB
+    SIGNATURE_TIMEOUT: 2000,
+    HTTP_RETRIES: 3,
+    HTTP_RETRY_DELAY: 1000,
     DEBUG: false
 };
 
@@ -44,398 +68,4975 @@ const Utils = {
     },
 
     formatNumber(num) {
-        if (num >= 1000000) {
-            return (num / 1000000).toFixed(1).replace(/\.0$/, '') + 'M';
+        return I18n.number({ notation: 'compact', maximumFractionDigits: 1 }).format(num);
+    },
+
+    formatNumberFull(num) {
+        return I18n.number().format(num);
+    },
+
+    timeAgo(dateString) {
+        const seconds = Math.round((new Date(dateString) - Date.now()) / 1000);
+        const format = new Intl.RelativeTimeFormat(I18n.locale, { numeric: 'auto' });
+        for (const [unit, size] of Utils.TIME_UNITS) {
+            if (Math.abs(seconds) >= size) return format.format(Math.trunc(seconds / size), unit);
+        }
+        return format.format(0, 'second');
+    },
+
+    formatBytes(bytes) {
+        const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+        let i = 0;
+        while (bytes >= 1024 && i < units.length - 1) {
+            bytes /= 1024;
+            i++;
+        }
+        return I18n.number({ style: 'unit', unit: units[i], maximumFractionDigits: 1 }).format(bytes);
+    },
+
+    hex(num, pad = 0) {
+        return num.toString(16).toUpperCase().padStart(pad, '0');
+    },
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    async pool(items, limit, worker) {
+        let next = 0;
+        const run = async () => {
+            while (next < items.length) {
+                const item = items[next++];
+                await worker(item);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    },
+
+    isMobile() {
+        return 'ontouchstart' in window || window.innerWidth <= 768;
+    },
+
+    // Calls back once, when target comes within 200px of the viewport, or
+    // right away where there is no IntersectionObserver to tell
+    whenNear(target, callback) {
+        if (!('IntersectionObserver' in window)) {
+            callback();
+            return;
+        }
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(e => e.isIntersecting)) {
+                observer.disconnect();
+                callback();
+            }
+        }, { rootMargin: '200px 0px' });
+        observer.observe(target);
+    },
+
+    // localStorage value, taking over one an older version left under the
+    // cache's prefix (where a cache schema change would delete it).
+    // null when missing or when storage is disabled.
+    readSetting(key, legacyKey) {
+        try {
+            let value = localStorage.getItem(key);
+            if (value === null && legacyKey) {
+                value = localStorage.getItem(legacyKey);
+                if (value !== null) {
+                    localStorage.setItem(key, value);
+                    localStorage.removeItem(legacyKey);
+                }
+            }
+            return value;
+        } catch {
+            // Storage disabled
+            return null;
+        }
+    },
+
+    log(...args) {
+        if (CONFIG.DEBUG) {
+            console.log('[DIE]', ...args);
+        }
+    }
+};
+
+Utils.TIME_UNITS = [
+    ['year', 31536000],
+    ['month', 2592000],
+    ['week', 604800],
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60]
+];
+
+// === I18N ===
+// English is written inline and doubles as the catalog key; i18n/<locale>.json
+// maps it to a translation, or for plurals to an object keyed by
+// Intl.PluralRules category ({ one, few, many, other }). Markup opts in with
+// data-i18n (its text) and data-i18n-attr="placeholder aria-label".
+const I18n = {
+    LOCALES: { en: 'English', de: 'Deutsch', ru: 'Русский', zh: '中文', ar: 'العربية' },
+    RTL: ['ar'],
+    STORAGE_KEY: CONFIG.SETTINGS_PREFIX + 'locale',
+    locale: 'en',
+    catalog: {},
+    formats: new Map(),
+
+    // A saved choice wins, then the browser's preferred languages
+    detect() {
+        const saved = Utils.readSetting(this.STORAGE_KEY, 'die_locale');
+        if (saved && this.LOCALES[saved]) return saved;
+        const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || 'en'];
+        for (const tag of preferred) {
+            const base = String(tag).toLowerCase().split('-')[0];
+            if (this.LOCALES[base]) return base;
+        }
+        return 'en';
+    },
+
+    async init() {
+        this.locale = this.detect();
+        if (this.locale !== 'en') {
+            try {
+                const resp = await fetch(new URL(`i18n/${this.locale}.json`, CONFIG.SITE_ROOT));
+                if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+                this.catalog = await resp.json();
+            } catch (e) {
+                // Numbers and dates are still localized by Intl
+                Utils.log('Catalog load error:', this.locale, e);
+            }
+        }
+        this.plurals = new Intl.PluralRules(this.locale);
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = this.RTL.includes(this.locale) ? 'rtl' : 'ltr';
+        this.apply(document);
+        this.bindSwitchers();
+    },
+
+    // t('{count} commits on {branch}', { count, branch }); numbers are
+    // formatted for the locale
+    t(text, params = {}) {
+        let value = Object.prototype.hasOwnProperty.call(this.catalog, text) ? this.catalog[text] : text;
+        if (value && typeof value === 'object') {
+            value = value[(this.plurals || new Intl.PluralRules('en')).select(params.count)] || value.other;
+        }
+        return String(value).replace(/\{(\w+)\}/g, (m, name) => {
+            if (!(name in params)) return m;
+            return typeof params[name] === 'number' ? Utils.formatNumberFull(params[name]) : params[name];
+        });
+    },
+
+    // n('{count} commit', '{count} commits', count): the plural form is the catalog key
+    n(one, other, count, params = {}) {
+        const key = other in this.catalog || count !== 1 ? other : one;
+        return this.t(key, { ...params, count });
+    },
+
+    number(options = {}) {
+        const key = JSON.stringify(options);
+        if (!this.formats.has(key)) this.formats.set(key, new Intl.NumberFormat(this.locale, options));
+        return this.formats.get(key);
+    },
+
+    date(value, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+        return new Date(value).toLocaleDateString(this.locale, options);
+    },
+
+    apply(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            const node = Array.from(el.childNodes).find(n => n.nodeType === 3 && n.nodeValue.trim());
+            if (!node) return;
+            if (!el.dataset.i18n) el.dataset.i18n = node.nodeValue.trim();
+            node.nodeValue = node.nodeValue.replace(node.nodeValue.trim(), this.t(el.dataset.i18n));
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+            el.dataset.i18nAttr.split(/\s+/).filter(Boolean).forEach(name => {
+                const source = `i18n${name.replace(/(^|-)(\w)/g, (m, d, c) => c.toUpperCase())}`;
+                if (!el.dataset[source]) el.dataset[source] = el.getAttribute(name) || '';
+                el.setAttribute(name, this.t(el.dataset[source]));
+            });
+        });
+    },
+
+    bindSwitchers() {
+        document.querySelectorAll('[data-locale-switcher]').forEach(select => {
+            Template.render(select, Object.entries(this.LOCALES).map(([code, name]) =>
+                html`<option value="${code}" lang="${code}">${name}</option>`));
+            select.value = this.locale;
+            select.addEventListener('change', () => this.switch(select.value));
+            select.hidden = false;
+        });
+    },
+
+    // Everything on the page was rendered for the old locale, so start over
+    switch(locale) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, locale);
+        } catch {
+            // Storage disabled: the choice lasts for this page only
+        }
+        location.reload();
+    }
+};
+
+
+// === THEME ===
+// Colors live in css/style.css as custom properties; a theme is a
+// [data-theme] override of them on <html>. 'system' follows
+// prefers-color-scheme (and prefers-contrast: more) and tracks changes.
+const Theme = {
+    THEMES: ['system', 'light', 'dark', 'contrast'],
+    NAMES: { system: 'System', light: 'Light', dark: 'Dark', contrast: 'High contrast' },
+    STORAGE_KEY: CONFIG.SETTINGS_PREFIX + 'theme',
+    choice: 'system',
+
+    get current() {
+        if (this.choice !== 'system') return this.choice;
+        if (window.matchMedia('(prefers-contrast: more)').matches) return 'contrast';
+        return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+    },
+
+    init() {
+        const saved = Utils.readSetting(this.STORAGE_KEY, 'die_theme');
+        if (this.THEMES.includes(saved)) this.choice = saved;
+        this.apply();
+        ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].forEach(query => {
+            window.matchMedia(query).addEventListener('change', () => {
+                if (this.choice === 'system') this.apply();
+            });
+        });
+    },
+
+    apply() {
+        document.documentElement.dataset.theme = this.current;
+    },
+
+    // Each press moves to the next theme; the label names the active choice
+    bindToggles() {
+        const buttons = Array.from(document.querySelectorAll('[data-theme-toggle]'));
+        const label = () => buttons.forEach(button => {
+            const text = I18n.t('Theme: {theme}', { theme: I18n.t(this.NAMES[this.choice]) });
+            button.setAttribute('aria-label', text);
+            button.title = text;
+        });
+        buttons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.set(this.THEMES[(this.THEMES.indexOf(this.choice) + 1) % this.THEMES.length]);
+                label();
+                Announcer.say(button.title);
+            });
+            button.hidden = false;
+        });
+        label();
+    },
+
+    set(choice) {
+        this.choice = choice;
+        try {
+            localStorage.setItem(this.STORAGE_KEY, choice);
+        } catch {
+            // Storage disabled: the choice lasts for this page only
+        }
+        this.apply();
+    }
+};
+
+
+// === TEMPLATES ===
+// html`<a href="${url}">${text}</a>` escapes every interpolated value unless
+// it is itself an html`` result (or an array of them). Values placed in URL
+// attributes (href, src, ...) must be http(s) URLs, anything else becomes "#".
+// Template.render() patches a container to match a template, touching only
+// the nodes that changed.
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const Template = {
+    URL_ATTRIBUTE: /\s(href|src|action|formaction|poster|xlink:href)\s*=\s*["']?$/i,
+
+    html(strings, ...values) {
+        let out = strings[0];
+        values.forEach((value, i) => {
+            out += Template.URL_ATTRIBUTE.test(strings[i])
+                ? Utils.escapeHtml(Template.url(value))
+                : Template.value(value);
+            out += strings[i + 1];
+        });
+        return new SafeHtml(out);
+    },
+
+    value(value) {
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(v => Template.value(v)).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return Utils.escapeHtml(value);
+    },
+
+    // Markup from our own renderers (Markdown, Highlighter), which escape
+    // everything they are given
+    raw(markup) {
+        return new SafeHtml(String(markup));
+    },
+
+    url(value) {
+        try {
+            const url = new URL(String(value), location.href);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? String(value) : '#';
+        } catch {
+            return '#';
+        }
+    },
+
+    render(container, template) {
+        const next = document.createElement('template');
+        next.innerHTML = Template.value(template);
+        Template.patch(container, next.content);
+    },
+
+    // --- DOM patching ---
+    // Children are matched by position, or by data-key when present, so a
+    // re-render keeps unchanged nodes (and their state) in place
+    patch(parent, next) {
+        const wanted = Array.from(next.childNodes);
+        const keyed = new Map();
+        Array.from(parent.children).forEach(el => {
+            const key = el.getAttribute('data-key');
+            if (key !== null) keyed.set(key, el);
+        });
+        wanted.forEach((node, i) => {
+            let current = parent.childNodes[i] || null;
+            const key = node.nodeType === 1 ? node.getAttribute('data-key') : null;
+            const match = key !== null ? keyed.get(key) : null;
+            if (match && match !== current) {
+                parent.insertBefore(match, current);
+                current = match;
+            }
+            if (!current) {
+                parent.appendChild(node);
+            } else if (!Template.sameNode(current, node)) {
+                parent.replaceChild(node, current);
+            } else if (node.nodeType === 1) {
+                Template.patchAttributes(current, node);
+                Template.patch(current, node);
+            } else if (current.nodeValue !== node.nodeValue) {
+                current.nodeValue = node.nodeValue;
+            }
+        });
+        while (parent.childNodes.length > wanted.length) parent.removeChild(parent.lastChild);
+    },
+
+    sameNode(a, b) {
+        return a.nodeType === b.nodeType && a.nodeName === b.nodeName &&
+            (a.nodeType !== 1 || a.getAttribute('data-key') === b.getAttribute('data-key'));
+    },
+
+    patchAttributes(el, next) {
+        Array.from(el.attributes).forEach(attr => {
+            // An expanded <details> stays open across re-renders
+            if (attr.name === 'open' && el.nodeName === 'DETAILS') return;
+            if (!next.hasAttribute(attr.name)) el.removeAttribute(attr.name);
+        });
+        Array.from(next.attributes).forEach(attr => {
+            if (el.getAttribute(attr.name) !== attr.value) el.setAttribute(attr.name, attr.value);
+        });
+    }
+};
+
+const html = Template.html;
+
+// === CACHE MANAGER ===
+// Entries live in memory for synchronous reads and are written through to
+// IndexedDB, or to localStorage where IndexedDB is unavailable.
+// Each record: { key, data, timestamp, used, etag?, lastModified? }
+class CacheManager {
+    static init() {
+        if (!CacheManager.ready) {
+            CacheManager.ready = (async () => {
+                try {
+                    CacheManager.backend = await CacheIdbStore.open();
+                } catch (e) {
+                    Utils.log('IndexedDB unavailable, caching in localStorage:', e);
+                    CacheManager.backend = CacheLocalStore.open();
+                }
+                try {
+                    const records = await CacheManager.backend.load();
+                    records.forEach(r => {
+                        if (!CacheManager.memory.has(r.key)) CacheManager.memory.set(r.key, r);
+                    });
+                } catch (e) {
+                    Utils.log('Cache load failed:', e);
+                }
+                if (CacheManager.dirty.size) CacheManager.scheduleFlush();
+            })();
+        }
+        return CacheManager.ready;
+    }
+
+    static get(key, maxAge = CONFIG.CACHE_DURATION) {
+        const record = CacheManager.memory.get(key);
+        if (!record) return null;
+        if (Date.now() - record.timestamp > maxAge) {
+            CacheManager.remove(key);
+            return null;
+        }
+        CacheManager.markUsed(record);
+        return record.data;
+    }
+
+    // Whole record regardless of age
+    static entry(key) {
+        const record = CacheManager.memory.get(key);
+        if (record) CacheManager.markUsed(record);
+        return record || null;
+    }
+
+    static set(key, data, validators = {}) {
+        const now = Date.now();
+        CacheManager.memory.set(key, { ...validators, key, data, timestamp: now, used: now });
+        CacheManager.dirty.add(key);
+        CacheManager.scheduleFlush();
+    }
+
+    // Mark an entry as fresh again without changing its data (e.g. after a 304)
+    static touch(key) {
+        const record = CacheManager.memory.get(key);
+        if (!record) return;
+        record.timestamp = record.used = Date.now();
+        CacheManager.dirty.add(key);
+        CacheManager.scheduleFlush();
+    }
+
+    static remove(key) {
+        CacheManager.memory.delete(key);
+        CacheManager.dirty.delete(key);
+        if (CacheManager.backend) {
+            CacheManager.backend.delete([key]).catch(e => Utils.log('Cache delete failed for', key, e));
+        }
+    }
+
+    // Stale entries are what an offline visit shows, so only long-unrefreshed
+    // ones go, and nothing goes while there is no network to replace it
+    static clearOld() {
+        if (navigator.onLine === false) return;
+        [...CacheManager.memory.values()]
+            .filter(r => Date.now() - r.timestamp > CONFIG.OFFLINE_DURATION && !CacheManager.KEEP.test(r.key))
+            .forEach(r => CacheManager.remove(r.key));
+    }
+
+    // --- Persistence ---
+    // Access times only need to be roughly right for LRU eviction, so reads
+    // rewrite a record at most once per USED_RESOLUTION
+    static markUsed(record) {
+        const now = Date.now();
+        if (now - (record.used || 0) < CacheManager.USED_RESOLUTION) return;
+        record.used = now;
+        CacheManager.dirty.add(record.key);
+        CacheManager.scheduleFlush();
+    }
+
+    static scheduleFlush() {
+        if (!CacheManager.backend || CacheManager.flushTimer) return;
+        CacheManager.flushTimer = setTimeout(() => {
+            CacheManager.flushTimer = null;
+            CacheManager.flush();
+        }, 100);
+    }
+
+    static async flush() {
+        let records = [...CacheManager.dirty].map(k => CacheManager.memory.get(k)).filter(Boolean);
+        CacheManager.dirty.clear();
+        while (records.length) {
+            try {
+                await CacheManager.backend.put(records);
+                return;
+            } catch (e) {
+                if (!CacheManager.isQuotaError(e)) {
+                    Utils.log('Cache write failed:', e);
+                    return;
+                }
+                // Evict the least recently used entry that is not being written;
+                // if there is none, give up on persisting the stalest pending one
+                const pending = new Set(records.map(r => r.key));
+                const byUse = (a, b) => (a.used || a.timestamp) - (b.used || b.timestamp);
+                const victim = [...CacheManager.memory.values()].filter(r => !pending.has(r.key)).sort(byUse)[0];
+                if (victim) {
+                    Utils.log('Cache quota exceeded, evicting', victim.key);
+                    CacheManager.memory.delete(victim.key);
+                    await CacheManager.backend.delete([victim.key]).catch(() => {});
+                } else {
+                    const dropped = records.sort(byUse).shift();
+                    Utils.log('Cache quota exceeded, keeping in memory only:', dropped.key);
+                }
+            }
+        }
+    }
+
+    static isQuotaError(e) {
+        return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22);
+    }
+}
+
+CacheManager.memory = new Map();
+CacheManager.dirty = new Set();
+CacheManager.backend = null;
+CacheManager.ready = null;
+CacheManager.flushTimer = null;
+CacheManager.USED_RESOLUTION = 60 * 60 * 1000;
+// Kept by clearOld whatever their age (offline copies of the wiki)
+CacheManager.KEEP = /^wiki_/;
+
+// --- IndexedDB backend ---
+class CacheIdbStore {
+    static open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+            const req = indexedDB.open(CONFIG.CACHE_DB, CacheIdbStore.MIGRATIONS.length);
+            req.onupgradeneeded = (e) => {
+                for (let v = e.oldVersion; v < CacheIdbStore.MIGRATIONS.length; v++) {
+                    CacheIdbStore.MIGRATIONS[v](req.result, req.transaction);
+                }
+            };
+            req.onsuccess = () => resolve(new CacheIdbStore(req.result));
+            req.onerror = () => reject(req.error);
+            req.onblocked = () => reject(new Error('IndexedDB upgrade blocked'));
+        });
+    }
+
+    constructor(db) {
+        this.db = db;
+        // Another tab upgraded the schema: step aside so it can proceed
+        db.onversionchange = () => db.close();
+    }
+
+    transaction(mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('entries', mode);
+            const result = work(tx.objectStore('entries'));
+            tx.oncomplete = () => resolve(result && result.result);
+            tx.onabort = tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    load() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    put(records) {
+        return this.transaction('readwrite', store => records.forEach(r => store.put(r)));
+    }
+
+    delete(keys) {
+        return this.transaction('readwrite', store => keys.forEach(k => store.delete(k)));
+    }
+}
+
+// One function per schema version, run in order on upgrade. When the shape of
+// cached data changes, append a migration that fixes or clears the old entries
+// (e.g. `(db, tx) => tx.objectStore('entries').clear()`).
+CacheIdbStore.MIGRATIONS = [
+    // 1: records keyed by cache key; adopt what the localStorage cache held
+    (db) => {
+        const store = db.createObjectStore('entries', { keyPath: 'key' });
+        const local = new CacheLocalStore();
+        local.readAll().forEach(r => store.put(r));
+        local.clear();
+    }
+];
+
+// --- localStorage fallback (one JSON string per key under CACHE_PREFIX) ---
+class CacheLocalStore {
+    // No migrations here: entries written under another schema are dropped.
+    // Entries from before the schema key existed have the version 1 shape.
+    static open() {
+        const store = new CacheLocalStore();
+        const version = String(CacheIdbStore.MIGRATIONS.length);
+        try {
+            if ((localStorage.getItem(CONFIG.CACHE_PREFIX + '_schema') || '1') !== version) store.clear();
+            localStorage.setItem(CONFIG.CACHE_PREFIX + '_schema', version);
+        } catch { /* skip */ }
+        return store;
+    }
+
+    keys() {
+        try {
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+            return keys.filter(k => k.startsWith(CONFIG.CACHE_PREFIX) && k !== CONFIG.CACHE_PREFIX + '_schema');
+        } catch {
+            return [];
+        }
+    }
+
+    readAll() {
+        const records = [];
+        this.keys().forEach(k => {
+            try {
+                const parsed = JSON.parse(localStorage.getItem(k));
+                if (parsed && 'data' in parsed) {
+                    records.push({ ...parsed, key: k.slice(CONFIG.CACHE_PREFIX.length), used: parsed.used || parsed.timestamp });
+                }
+            } catch { /* skip */ }
+        });
+        return records;
+    }
+
+    clear() {
+        this.keys().forEach(k => localStorage.removeItem(k));
+    }
+
+    async load() {
+        return this.readAll();
+    }
+
+    async put(records) {
+        records.forEach(({ key, ...record }) => {
+            localStorage.setItem(CONFIG.CACHE_PREFIX + key, JSON.stringify(record));
+        });
+    }
+
+    async delete(keys) {
+        keys.forEach(k => localStorage.removeItem(CONFIG.CACHE_PREFIX + k));
+    }
+}
+
+// === OFFLINE SUPPORT ===
+// sw.js precaches the site and keeps the last GitHub responses. A response
+// it answers from that copy carries HEADER (when it was fetched). Whatever
+// shows saved data because the network failed reports its age here, and
+// [data-offline-status] says how old the oldest of it is.
+const Offline = {
+    HEADER: 'X-DIE-Cached-At',
+    oldest: null,
+    installPrompt: null,
+
+    init() {
+        if ('serviceWorker' in navigator && /^https?:$/.test(location.protocol)) {
+            navigator.serviceWorker.register(new URL('sw.js', CONFIG.SITE_ROOT))
+                .catch(e => Utils.log('Service worker error:', e));
+        }
+        window.addEventListener('online', () => this.update());
+        window.addEventListener('offline', () => this.update());
+        // Browsers that offer installation hand over their prompt for the [data-install] buttons
+        window.addEventListener('beforeinstallprompt', e => {
+            e.preventDefault();
+            this.installPrompt = e;
+            this.showInstall(true);
+        });
+        window.addEventListener('appinstalled', () => this.showInstall(false));
+        document.querySelectorAll('[data-install] button').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!this.installPrompt) return;
+                this.installPrompt.prompt();
+                const { outcome } = await this.installPrompt.userChoice;
+                if (outcome === 'accepted') this.showInstall(false);
+            });
+        });
+    },
+
+    // When the service worker answered from its saved copy, or null
+    cachedAt(resp) {
+        const value = Number(resp.headers.get(this.HEADER));
+        return value || null;
+    },
+
+    // Data fetched at `timestamp` is on screen because the network failed
+    report(timestamp) {
+        if (this.oldest === null || timestamp < this.oldest) this.oldest = timestamp;
+        this.update();
+    },
+
+    update() {
+        const offline = this.oldest !== null || navigator.onLine === false;
+        const text = this.oldest === null
+            ? I18n.t('Offline. Pages and data opened before are still available.')
+            : I18n.t('Offline, showing data from {date}.', {
+                date: I18n.date(this.oldest, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+            });
+        document.querySelectorAll('[data-offline-status]').forEach(el => {
+            if (offline) el.textContent = text;
+            el.hidden = !offline;
+        });
+    },
+
+    showInstall(visible) {
+        if (!visible) this.installPrompt = null;
+        document.querySelectorAll('[data-install]').forEach(el => { el.hidden = !visible; });
+    }
+};
+
+// === HTTP CLIENT ===
+// Every GitHub request goes through here: requests pause while the API rate
+// limit is exhausted, transient failures are retried with backoff, and cached
+// resources are revalidated with conditional requests (a 304 is not counted
+// against the limit).
+class HttpClient {
+    static async fetch(url, options = {}) {
+        const isApi = String(url).startsWith(CONFIG.GITHUB_API);
+        for (let attempt = 0; ; attempt++) {
+            const until = isApi ? HttpClient.pausedUntil() : 0;
+            if (until) throw new Error(`Rate limited until ${new Date(until).toLocaleTimeString()}`);
+            let resp;
+            try {
+                resp = await fetch(url, options);
+            } catch (e) {
+                // No point retrying while the browser knows it has no connection
+                if (attempt >= CONFIG.HTTP_RETRIES || navigator.onLine === false) throw Object.assign(e, { network: true });
+                await HttpClient.backoff(attempt);
+                continue;
+            }
+            if (isApi) HttpClient.trackRateLimit(resp);
+            if ((resp.status >= 500 || resp.status === 408) && attempt < CONFIG.HTTP_RETRIES) {
+                await HttpClient.backoff(attempt);
+                continue;
+            }
+            return resp;
+        }
+    }
+
+    static backoff(attempt) {
+        const delay = CONFIG.HTTP_RETRY_DELAY * Math.pow(2, attempt) + Math.random() * 250;
+        return new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    static trackRateLimit(resp) {
+        // Search has its own, much smaller quota; running out of it must not pause everything else
+        const resource = resp.headers.get('X-RateLimit-Resource');
+        if (resource && resource !== 'core') return;
+        const remaining = resp.headers.get('X-RateLimit-Remaining');
+        const reset = Number(resp.headers.get('X-RateLimit-Reset'));
+        const retryAfter = Number(resp.headers.get('Retry-After'));
+        let until = 0;
+        if (remaining === '0' && reset) until = reset * 1000;
+        else if ((resp.status === 403 || resp.status === 429) && retryAfter) until = Date.now() + retryAfter * 1000;
+        if (until > Date.now()) {
+            HttpClient.resetAt = until;
+            CacheManager.set('rate_limit', until);
+            Utils.log('Rate limit reached, pausing until', new Date(until));
+        }
+    }
+
+    static pausedUntil() {
+        if (HttpClient.resetAt === null) HttpClient.resetAt = CacheManager.get('rate_limit', Infinity) || 0;
+        return HttpClient.resetAt > Date.now() ? HttpClient.resetAt : 0;
+    }
+
+    // Stale-while-revalidate JSON resource kept under a CacheManager key.
+    // A fresh entry is returned as is; a stale one is returned at once and
+    // revalidated in the background, and onUpdate gets the data if it changed.
+    // A stale entry that cannot be revalidated for lack of a network is
+    // reported to Offline.
+    static async json(key, url, { transform = data => data, maxAge = CONFIG.CACHE_DURATION, onUpdate = null } = {}) {
+        const entry = CacheManager.entry(key);
+        if (entry && Date.now() - entry.timestamp <= maxAge) return entry.data;
+        if (!entry) return HttpClient.revalidate(key, url, transform, null);
+        HttpClient.revalidate(key, url, transform, entry)
+            .then(data => { if (data !== entry.data && onUpdate) onUpdate(data); })
+            .catch(e => {
+                Utils.log('Revalidate error:', key, e);
+                if (e.network) Offline.report(entry.timestamp);
+            });
+        return entry.data;
+    }
+
+    static revalidate(key, url, transform, entry) {
+        if (!HttpClient.pending.has(key)) {
+            const request = HttpClient.load(key, url, transform, entry)
+                .finally(() => HttpClient.pending.delete(key));
+            HttpClient.pending.set(key, request);
+        }
+        return HttpClient.pending.get(key);
+    }
+
+    static async load(key, url, transform, entry) {
+        const headers = {};
+        if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+        if (entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+        const resp = await HttpClient.fetch(url, { headers });
+        if (resp.status === 304 && entry) {
+            CacheManager.touch(key);
+            return entry.data;
+        }
+        // The service worker's saved copy is no fresher than ours and must
+        // not be stored as if it had just been fetched
+        const cachedAt = Offline.cachedAt(resp);
+        if (cachedAt && resp.ok) {
+            Offline.report(entry ? entry.timestamp : cachedAt);
+            return entry ? entry.data : transform(await resp.json(), resp);
+        }
+        // 202: accepted, the response is still being generated
+        if (!resp.ok || resp.status === 202) throw Object.assign(new Error(`HTTP ${resp.status}`), { status: resp.status });
+        const data = await transform(await resp.json(), resp);
+        CacheManager.set(key, data, {
+            etag: resp.headers.get('ETag'),
+            lastModified: resp.headers.get('Last-Modified')
+        });
+        return data;
+    }
+}
+
+HttpClient.resetAt = null;
+HttpClient.pending = new Map();
+
+// === RELEASE ASSETS ===
+// Classifies release asset names by OS, architecture and package type
+const ReleaseAssets = {
+    SKIP: /\.(sig|asc|sha\d*|md5|txt|json|sbom|spdx)$|checksums?|sha\d*sums/i,
+
+    OS_NAMES: { windows: 'Windows', linux: 'Linux', macos: 'macOS' },
+    ARCH_NAMES: { x86: 'x86', x64: 'x64', arm64: 'ARM64' },
+    KIND_NAMES: {
+        portable: 'portable zip', installer: 'installer', appimage: 'AppImage', deb: 'deb',
+        rpm: 'rpm', dmg: 'dmg', pkg: 'pkg', archive: 'archive'
+    },
+
+    // Preferred package type per OS, best first
+    KIND_ORDER: {
+        windows: ['portable', 'installer', 'archive'],
+        linux: ['appimage', 'deb', 'rpm', 'archive'],
+        macos: ['dmg', 'pkg', 'archive']
+    },
+
+    classify(name) {
+        const n = name.toLowerCase();
+        if (this.SKIP.test(n)) return null;
+
+        let os = null;
+        if (/mac|osx|darwin|\.dmg$|\.pkg$/.test(n)) os = 'macos';
+        else if (/win|\.exe$|\.msi$/.test(n)) os = 'windows';
+        else if (/lin|ubuntu|debian|fedora|centos|rhel|opensuse|alpine|arch|\.appimage$|\.deb$|\.rpm$/.test(n)) os = 'linux';
+
+        let arch = null;
+        if (/arm64|aarch64/.test(n)) arch = 'arm64';
+        else if (/x86_64|amd64|x64|win64|lin64|64bit/.test(n)) arch = 'x64';
+        else if (/x86|i[3-6]86|win32|lin32|32bit/.test(n)) arch = 'x86';
+
+        let kind = 'archive';
+        if (n.endsWith('.appimage')) kind = 'appimage';
+        else if (n.endsWith('.deb')) kind = 'deb';
+        else if (n.endsWith('.rpm')) kind = 'rpm';
+        else if (n.endsWith('.dmg')) kind = 'dmg';
+        else if (n.endsWith('.pkg')) kind = 'pkg';
+        else if (/\.(exe|msi)$/.test(n) || /install|setup/.test(n)) kind = 'installer';
+        else if (n.endsWith('.zip') && (os === 'windows' || n.includes('portable'))) kind = 'portable';
+
+        return { os, arch, kind };
+    },
+
+    label(asset) {
+        return [
+            this.OS_NAMES[asset.os],
+            this.ARCH_NAMES[asset.arch],
+            `(${I18n.t(this.KIND_NAMES[asset.kind])})`
+        ].filter(Boolean).join(' ');
+    },
+
+    // Asset list with classification, platform-specific assets only
+    list(assets) {
+        return (assets || [])
+            .map(a => Object.assign({}, a, this.classify(a.name)))
+            .filter(a => a.os);
+    },
+
+    pick(assets, platform) {
+        if (!platform || !platform.os) return null;
+        const order = this.KIND_ORDER[platform.os];
+        const score = (a) => {
+            let s = 0;
+            if (a.arch === platform.arch) s += 100;
+            else if (!a.arch) s += 50;
+            else if (platform.os === 'macos' && a.arch === 'x64') s += 25; // Rosetta
+            const k = order.indexOf(a.kind);
+            s += k < 0 ? 0 : (order.length - k) * 10;
+            return s;
+        };
+        return assets
+            .filter(a => a.os === platform.os)
+            .filter(a => !(a.arch === 'arm64' && platform.arch !== 'arm64'))
+            .sort((a, b) => score(b) - score(a))[0] || null;
+    }
+};
+
+// === PLATFORM DETECTION ===
+const Platform = {
+    detected: null,
+
+    async detect() {
+        if (this.detected) return this.detected;
+        const ua = navigator.userAgent || '';
+        let os = null;
+        let arch = null;
+
+        if (/android|iphone|ipad|ipod/i.test(ua)) os = null;
+        else if (/windows/i.test(ua)) os = 'windows';
+        else if (/mac os x|macintosh/i.test(ua)) os = 'macos';
+        else if (/linux|x11|cros/i.test(ua)) os = 'linux';
+
+        if (/arm64|aarch64/i.test(ua)) arch = 'arm64';
+        else if (/x86_64|x64|win64|wow64|amd64/i.test(ua)) arch = 'x64';
+        else if (/i[3-6]86/i.test(ua)) arch = 'x86';
+
+        try {
+            if (navigator.userAgentData && navigator.userAgentData.getHighEntropyValues) {
+                const hints = await navigator.userAgentData.getHighEntropyValues(['architecture', 'bitness']);
+                if (hints.architecture === 'arm' && hints.bitness === '64') arch = 'arm64';
+                else if (hints.architecture === 'x86') arch = hints.bitness === '64' ? 'x64' : 'x86';
+            }
+        } catch { /* skip */ }
+
+        this.detected = { os, arch: os ? (arch || 'x64') : null };
+        return this.detected;
+    }
+};
+
+// === SVG CHARTS ===
+// Dependency-free SVG chart builders. Colors come from the .chart-* classes.
+const Charts = {
+    niceMax(value) {
+        if (value <= 0) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 2.5, 5, 10].find(s => s * magnitude >= value);
+        return step * magnitude;
+    },
+
+    // Vertical bars, one per point: [{ label, value }]
+    bars(points, { height = 200, label = '' } = {}) {
+        const width = 640;
+        const pad = { top: 12, right: 8, bottom: 26, left: 48 };
+        const innerW = width - pad.left - pad.right;
+        const innerH = height - pad.top - pad.bottom;
+        const max = this.niceMax(Math.max(0, ...points.map(p => p.value)));
+        const slot = innerW / Math.max(1, points.length);
+        const barW = Math.max(1, slot * 0.7);
+        const y = (v) => pad.top + innerH * (1 - v / max);
+
+        const grid = [0, 0.5, 1].map(f => html`
+            <line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(max * f)}" y2="${y(max * f)}"/>
+            <text class="chart-axis" x="${pad.left - 6}" y="${y(max * f) + 4}" text-anchor="end">${Utils.formatNumber(max * f)}</text>
+        `);
+        const bars = points.map((p, i) => html`
+            <rect class="chart-bar" x="${(pad.left + i * slot + (slot - barW) / 2).toFixed(1)}" y="${y(p.value).toFixed(1)}"
+                width="${barW.toFixed(1)}" height="${(innerH * p.value / max).toFixed(1)}" rx="2">
+                <title>${p.label}: ${Utils.formatNumberFull(p.value)}</title>
+            </rect>
+        `);
+        const ticks = points.length ? [0, Math.floor((points.length - 1) / 2), points.length - 1] : [];
+        const labels = [...new Set(ticks)].map(i => html`
+            <text class="chart-axis" x="${pad.left + i * slot + slot / 2}" y="${height - 6}" text-anchor="middle">${points[i].label}</text>
+        `);
+
+        return html`<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">${grid}${bars}${labels}</svg>`;
+    },
+
+    // Ring chart with legend: [{ label, value }]
+    donut(segments, { label = '' } = {}) {
+        const sum = segments.reduce((s, x) => s + x.value, 0);
+        const total = sum || 1;
+        const r = 54;
+        const c = 2 * Math.PI * r;
+        let offset = 0;
+        const arcs = segments.map((s, i) => {
+            const len = c * s.value / total;
+            const arc = html`<circle class="chart-series-${i % 6}" cx="70" cy="70" r="${r}" fill="none" stroke-width="22"
+                stroke-dasharray="${len.toFixed(2)} ${(c - len).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}" transform="rotate(-90 70 70)">
+                <title>${s.label}: ${Utils.formatNumberFull(s.value)}</title>
+            </circle>`;
+            offset += len;
+            return arc;
+        });
+        const legend = segments.map((s, i) => html`
+            <li><span class="chart-dot chart-series-${i % 6}"></span>${s.label} <span class="chart-percent">${(s.value / total * 100).toFixed(1)}%</span></li>
+        `);
+
+        return html`<div class="chart-donut">
+            <svg class="chart" viewBox="0 0 140 140" role="img" aria-label="${label}">
+                <circle class="chart-track" cx="70" cy="70" r="${r}" fill="none" stroke-width="22"/>
+                ${arcs}
+                <text class="chart-center" x="70" y="76" text-anchor="middle">${Utils.formatNumber(sum)}</text>
+            </svg>
+            <ul class="chart-legend">${legend}</ul>
+        </div>`;
+    },
+
+    // Line per series over shared x labels: { labels, series: [{ label, values }] }
+    lines({ labels, series }, { height = 200, label = '' } = {}) {
+        const width = 640;
+        const pad = { top: 12, right: 8, bottom: 26, left: 48 };
+        const innerW = width - pad.left - pad.right;
+        const innerH = height - pad.top - pad.bottom;
+        const max = this.niceMax(Math.max(0, ...series.flatMap(s => s.values)));
+        const x = (i) => pad.left + (labels.length > 1 ? innerW * i / (labels.length - 1) : innerW / 2);
+        const y = (v) => pad.top + innerH * (1 - v / max);
+
+        const grid = [0, 0.5, 1].map(f => html`
+            <line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(max * f)}" y2="${y(max * f)}"/>
+            <text class="chart-axis" x="${pad.left - 6}" y="${y(max * f) + 4}" text-anchor="end">${Utils.formatNumber(max * f)}</text>
+        `);
+        const paths = series.map((s, n) => html`
+            <polyline class="chart-line chart-series-${n % 6}" fill="none" stroke-width="2"
+                points="${s.values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ')}">
+                <title>${s.label}</title>
+            </polyline>
+        `);
+        const ticks = labels.length ? [0, Math.floor((labels.length - 1) / 2), labels.length - 1] : [];
+        const axis = [...new Set(ticks)].map(i => html`
+            <text class="chart-axis" x="${x(i)}" y="${height - 6}" text-anchor="middle">${labels[i]}</text>
+        `);
+        const legend = series.length > 1 ? html`<ul class="chart-legend chart-legend-inline">${series.map((s, n) => html`
+            <li><span class="chart-dot chart-series-${n % 6}"></span>${s.label}</li>
+        `)}</ul>` : '';
+
+        return html`<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">${grid}${paths}${axis}</svg>${legend}`;
+    },
+
+    // Contribution-style calendar: one column per week, one cell per day,
+    // shaded in five steps relative to the busiest day
+    heatmap(weeks, { label = '' } = {}) {
+        const cell = 11;
+        const gap = 2;
+        const left = 28;
+        const top = 16;
+        const max = Math.max(1, ...weeks.flatMap(w => w.days));
+        const level = (count) => count ? Math.min(4, Math.ceil(count / max * 4)) : 0;
+        const day = (w, d) => new Date(w.week + d * 24 * 60 * 60 * 1000);
+        const format = (date, options) => I18n.date(date, { timeZone: 'UTC', ...options });
+
+        const months = weeks.map((w, i) => ({ i, date: day(w, 0) }))
+            .filter(({ i, date }) => i === 0 || date.getUTCMonth() !== day(weeks[i - 1], 0).getUTCMonth())
+            .map(({ i, date }) => html`<text class="chart-axis" x="${left + i * (cell + gap)}" y="10">${format(date, { month: 'short' })}</text>`);
+        const weekdays = [1, 3, 5].map(d => html`
+            <text class="chart-axis" x="0" y="${top + d * (cell + gap) + cell - 2}">${format(new Date(Date.UTC(2023, 0, d + 1)), { weekday: 'short' })}</text>
+        `);
+        const cells = weeks.map((w, i) => w.days.map((count, d) => html`
+            <rect class="chart-heat-${level(count)}" x="${left + i * (cell + gap)}" y="${top + d * (cell + gap)}" width="${cell}" height="${cell}" rx="2">
+                <title>${count} commit${count === 1 ? '' : 's'} on ${format(day(w, d), { year: 'numeric', month: 'short', day: 'numeric' })}</title>
+            </rect>
+        `));
+        const width = left + weeks.length * (cell + gap);
+        const height = top + 7 * (cell + gap);
+
+        return html`<svg class="chart chart-heatmap" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">${months}${weekdays}${cells}</svg>`;
+    },
+
+    // Horizontal bars with labels: [{ label, value, title }]
+    hbars(rows, { label = '' } = {}) {
+        const width = 640;
+        const rowH = 26;
+        const labelW = 280;
+        const max = Math.max(1, ...rows.map(r => r.value));
+        const barMax = width - labelW - 80;
+        const body = rows.map((r, i) => {
+            const text = r.label.length > 38 ? r.label.slice(0, 37) + '…' : r.label;
+            const w = Math.max(2, barMax * r.value / max);
+            const y = i * rowH;
+            return html`<g>
+                <title>${r.title || r.label}: ${Utils.formatNumberFull(r.value)}</title>
+                <text class="chart-label" x="0" y="${y + 17}">${text}</text>
+                <rect class="chart-bar" x="${labelW}" y="${y + 6}" width="${w.toFixed(1)}" height="14" rx="3"/>
+                <text class="chart-axis" x="${labelW + w + 6}" y="${y + 17}">${Utils.formatNumber(r.value)}</text>
+            </g>`;
+        });
+        return html`<svg class="chart" viewBox="0 0 ${width} ${rows.length * rowH}" role="img" aria-label="${label}">${body}</svg>`;
+    }
+};
+
+// === DATA SNAPSHOT ===
+// data/*.json written by scripts/snapshot.js when the Pages workflow
+// publishes the site. Used only when the API fails and nothing is cached;
+// the page then says how old the numbers are.
+const Snapshot = {
+    VERSION: 2,
+    files: new Map(),
+
+    load(name) {
+        if (!this.files.has(name)) {
+            this.files.set(name, fetch(new URL(`data/${name}.json`, CONFIG.SITE_ROOT))
+                .then(resp => resp.ok ? resp.json() : null)
+                .then(file => file && file.version === this.VERSION ? file : null)
+                .catch(() => null));
+        }
+        return this.files.get(name);
+    },
+
+    async use(name, transform) {
+        const file = await this.load(name);
+        if (!file) return null;
+        try {
+            const data = transform(file.data);
+            this.showAsOf(file.generatedAt);
+            return data;
+        } catch (e) {
+            Utils.log('Snapshot error:', name, e);
+            return null;
+        }
+    },
+
+    showAsOf(date) {
+        if (this.asOf && new Date(this.asOf) <= new Date(date)) return;
+        this.asOf = date;
+        document.querySelectorAll('[data-as-of]').forEach(el => {
+            el.textContent = I18n.t('GitHub could not be reached. Showing data as of {date}.', { date: I18n.date(date) });
+            el.hidden = false;
+        });
+    }
+};
+
+// === GITHUB REPOSITORY CLIENT ===
+// Endpoints of one repository. Responses go through HttpClient.json and are
+// cached under "<owner>/<name>/<resource>"; transforms live on GitHubAPI.
+class GitHubRepo {
+    constructor(name) {
+        this.name = name;
+    }
+
+    url(path = '') {
+        return `${CONFIG.GITHUB_API}/repos/${this.name}${path}`;
+    }
+
+    json(resource, path, options) {
+        return HttpClient.json(`${this.name}/${resource}`, this.url(path), options);
+    }
+
+    // Each page is cached and revalidated on its own, so an unchanged list
+    // costs only 304s
+    async paged(resource, path, transform, onUpdate = null) {
+        const items = [];
+        for (let page = 1; page <= 20; page++) { // safety limit
+            const result = await this.json(`${resource}_${page}`, `${path}${path.includes('?') ? '&' : '?'}per_page=100&page=${page}`, {
+                transform: (data, resp) => ({
+                    items: data.map(transform),
+                    next: /rel="next"/.test(resp.headers.get('Link') || '')
+                }),
+                onUpdate
+            });
+            items.push(...result.items);
+            if (!result.next) break;
+        }
+        return items;
+    }
+
+    stats(options = {}) {
+        return this.json('stats', '', { transform: data => GitHubAPI.repoStats(data), ...options });
+    }
+
+    releases(onUpdate) {
+        return this.paged('releases', '/releases', r => GitHubAPI.release(r), onUpdate);
+    }
+
+    latestRelease(options = {}) {
+        return this.json('latest_release', '/releases/latest', { transform: data => GitHubAPI.release(data), ...options });
+    }
+
+    commits(query = {}, options = {}) {
+        const params = new URLSearchParams({ per_page: GitHubAPI.COMMITS_PAGE_SIZE, ...query });
+        return this.json(`commits_${params}`, `/commits?${params}`, {
+            transform: data => data.map(c => GitHubAPI.commit(c)),
+            ...options
+        });
+    }
+
+    // A commit never changes, so the cached copy is kept
+    commit(sha) {
+        return this.json(`commit_${sha}`, `/commits/${sha}`, {
+            transform: data => GitHubAPI.commitDetails(data),
+            maxAge: Infinity
+        });
+    }
+
+    branches() {
+        return this.json('branches', '/branches?per_page=100', { transform: data => data.map(b => b.name) });
+    }
+
+    contributors(onUpdate) {
+        return this.paged('contributors', '/contributors?anon=1', c => GitHubAPI.contributor(c), onUpdate);
+    }
+
+    languages(options = {}) {
+        return this.json('languages', '/languages', { transform: data => GitHubAPI.languages(data), ...options });
+    }
+
+    labels() {
+        return this.paged('labels', '/labels', l => l.name);
+    }
+
+    // Issue search scoped to this repository, e.g. ['is:issue', 'is:open'].
+    // Unlike /issues it can tell issues from pull requests and reports totals.
+    searchIssues(qualifiers, { page = 1, perPage = GitHubAPI.ISSUES_PAGE_SIZE, ...options } = {}) {
+        const q = [`repo:${this.name}`, ...qualifiers].join(' ');
+        const params = new URLSearchParams({ q, sort: 'created', order: 'desc', per_page: perPage, page });
+        return HttpClient.json(`${this.name}/search_${params}`, `${CONFIG.GITHUB_API}/search/issues?${params}`, {
+            transform: data => ({ total: data.total_count, items: data.items.map(i => GitHubAPI.issue(i)) }),
+            ...options
+        });
+    }
+
+    // The /stats endpoints answer 202 while GitHub computes them in the
+    // background, so ask again a couple of times before giving up; the next
+    // visit finds them ready
+    async statistics(kind, transform, options = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.json(`stats_${kind}`, `/stats/${kind}`, {
+                    transform,
+                    maxAge: CONFIG.STATS_DURATION,
+                    ...options
+                });
+            } catch (e) {
+                if (e.status !== 202 || attempt >= CONFIG.STATS_POLL_RETRIES) throw e;
+                await HttpClient.backoff(attempt);
+            }
+        }
+    }
+
+    commitActivity(options = {}) {
+        return this.statistics('commit_activity', data => data.map(w => ({
+            week: w.week * 1000,
+            days: w.days,
+            total: w.total
+        })), options);
+    }
+
+    codeFrequency(options = {}) {
+        return this.statistics('code_frequency', data => data.map(([week, additions, deletions]) => ({
+            week: week * 1000,
+            additions,
+            deletions: -deletions
+        })), options);
+    }
+}
+
+// === GITHUB API MODULE ===
+class GitHubAPI {
+    constructor() {
+        this.repoStats = null;
+        this.totalDownloads = null;
+        this.downloadStats = null;
+        this.commits = null;
+        this.contributors = null;
+        this.languages = null;
+        this.latestRelease = null;
+        this.releases = null;
+        this.releasesPromise = null;
+        this.ecosystem = null;
+        this.activity = null;
+        this.issueCounts = null;
+        this.listeners = new Set();
+        this.repos = new Map();
+        this.main = this.repo(CONFIG.GITHUB_REPO);
+        this.engine = this.repo(CONFIG.GITHUB_RELEASES_REPO);
+    }
+
+    // One client per repository, shared by everything that reads it
+    repo(name) {
+        if (!this.repos.has(name)) this.repos.set(name, new GitHubRepo(name));
+        return this.repos.get(name);
+    }
+
+    // Loads only the named data sources (keys of GitHubAPI.SOURCES)
+    async load(sources) {
+        await Promise.all([...sources]
+            .filter(source => GitHubAPI.SOURCES[source])
+            .map(source => this[GitHubAPI.SOURCES[source]]()));
+    }
+
+    // --- Change notifications (used by DataBindings) ---
+    subscribe(listener) {
+        this.listeners.add(listener);
+    }
+
+    emit(source) {
+        this.listeners.forEach(listener => listener(source));
+    }
+
+    // Plain data behind a source, as seen by data-die-bind paths
+    data(source) {
+        switch (source) {
+            case 'repo': return this.repoStats;
+            case 'downloads': return this.totalDownloads === null ? null : { ...this.downloadStats, total: this.totalDownloads };
+            case 'release': return this.latestRelease;
+            case 'commits': return this.commits;
+            case 'contributors': return this.contributors;
+            case 'languages': return this.languages;
+            case 'ecosystem': return this.ecosystem;
+            case 'activity': return this.activity;
+            case 'issues': return this.issueCounts;
+            default: return null;
+        }
+    }
+
+    // --- Repo Stats (stars, forks, watchers, issues) ---
+    async loadRepoStats() {
+        try {
+            this.repoStats = await this.main.stats({
+                onUpdate: stats => {
+                    this.repoStats = stats;
+                    this.emit('repo');
+                }
+            });
+        } catch (e) {
+            Utils.log('Repo stats fetch error:', e);
+            this.repoStats = await Snapshot.use('repo', data => GitHubAPI.repoStats(data)) ||
+                { stars: 10200, forks: 879, watchers: 168, openIssues: 0 };
+        }
+        this.emit('repo');
+    }
+
+    static repoStats(data) {
+        return {
+            description: data.description || '',
+            stars: data.stargazers_count,
+            forks: data.forks_count,
+            watchers: data.subscribers_count,
+            openIssues: data.open_issues_count,
+            pushedAt: data.pushed_at || null
+        };
+    }
+
+    // --- Total Downloads and breakdown (all releases from DIE-engine) ---
+    async loadTotalDownloads() {
+        const releases = await this.loadReleases();
+        if (releases) {
+            this.downloadStats = GitHubAPI.summarizeDownloads(releases);
+            this.totalDownloads = this.downloadStats.total;
+        } else {
+            this.totalDownloads = 1000000;
+        }
+        this.emit('downloads');
+        this.renderDownloadStats();
+    }
+
+    static summarizeDownloads(releases) {
+        const stats = { total: 0, releases: [], byOs: {}, byArch: {}, topAssets: [] };
+        const assets = [];
+        for (const release of releases) {
+            let downloads = 0;
+            for (const asset of release.assets) {
+                const count = asset.downloads || 0;
+                const kind = ReleaseAssets.classify(asset.name);
+                downloads += count;
+                if (kind && kind.os) {
+                    stats.byOs[kind.os] = (stats.byOs[kind.os] || 0) + count;
+                    stats.byArch[kind.arch || 'other'] = (stats.byArch[kind.arch || 'other'] || 0) + count;
+                } else {
+                    stats.byOs.other = (stats.byOs.other || 0) + count;
+                }
+                assets.push({ name: asset.name, tag: release.tag, downloads: count });
+            }
+            stats.total += downloads;
+            stats.releases.push({ tag: release.tag, date: release.date, downloads });
+        }
+        stats.releases.sort((a, b) => new Date(a.date) - new Date(b.date));
+        stats.topAssets = assets.sort((a, b) => b.downloads - a.downloads).slice(0, 10);
+        return stats;
+    }
+
+    renderDownloadStats() {
+        const panel = document.getElementById('download-stats');
+        if (!panel || !this.downloadStats) return;
+        const s = this.downloadStats;
+        const names = Object.assign({ other: I18n.t('Other') }, ReleaseAssets.OS_NAMES, ReleaseAssets.ARCH_NAMES);
+        const segments = (counts) => Object.entries(counts)
+            .filter(([, value]) => value > 0)
+            .sort((a, b) => b[1] - a[1])
+            .map(([key, value]) => ({ label: names[key] || key, value }));
+
+        const chart = (id, template) => {
+            const el = document.getElementById(id);
+            if (el) Template.render(el, template);
+        };
+        chart('chart-releases', Charts.bars(
+            s.releases.map(r => ({ label: `${r.tag} (${I18n.date(r.date, { year: 'numeric', month: 'short' })})`, value: r.downloads })),
+            { label: I18n.t('Downloads per release') }
+        ));
+        chart('chart-os', Charts.donut(segments(s.byOs), { label: I18n.t('Downloads by operating system') }));
+        chart('chart-arch', Charts.donut(segments(s.byArch), { label: I18n.t('Downloads by architecture') }));
+        chart('chart-assets', Charts.hbars(
+            s.topAssets.map(a => ({ label: a.name, title: `${a.name} (${a.tag})`, value: a.downloads })),
+            { label: I18n.t('Most downloaded assets') }
+        ));
+        panel.hidden = false;
+    }
+
+    // --- Releases (every DIE-engine release, shared by downloads and the changelog) ---
+    loadReleases() {
+        if (!this.releasesPromise) this.releasesPromise = this.fetchReleases();
+        return this.releasesPromise;
+    }
+
+    async fetchReleases() {
+        try {
+            this.releases = await this.engine.releases(() => this.releasesChanged());
+            return this.releases;
+        } catch (e) {
+            Utils.log('Releases fetch error:', e);
+            this.releasesPromise = null;
+            this.releases = await Snapshot.use('releases', data => data.map(r => GitHubAPI.release(r)));
+            return this.releases;
+        }
+    }
+
+    static release(r) {
+        return {
+            tag: r.tag_name,
+            name: r.name,
+            date: r.published_at || r.created_at,
+            prerelease: r.prerelease,
+            draft: r.draft,
+            url: r.html_url,
+            body: r.body || '',
+            assets: (r.assets || []).map(a => ({
+                id: a.id,
+                name: a.name,
+                size: a.size,
+                url: a.browser_download_url,
+                downloads: a.download_count,
+                digest: a.digest || null
+            }))
+        };
+    }
+
+    // A revalidated page changed: rebuild the list and the download figures
+    releasesChanged() {
+        clearTimeout(this.releasesTimer);
+        this.releasesTimer = setTimeout(() => {
+            this.releasesPromise = null;
+            this.loadTotalDownloads();
+        }, 100);
+    }
+
+    // --- Commits ---
+    // The first page of the default branch; CommitsTracker renders it and
+    // fetches anything beyond it with fetchCommits()
+    async loadCommits() {
+        try {
+            this.commits = await this.main.commits({}, {
+                onUpdate: commits => {
+                    this.commits = commits;
+                    this.emit('commits');
+                }
+            });
+        } catch (e) {
+            Utils.log('Commits fetch error:', e);
+            this.commits = await Snapshot.use('commits', data => data.map(c => GitHubAPI.commit(c)));
+        }
+        this.emit('commits');
+    }
+
+    fetchCommits({ branch = CONFIG.GITHUB_BRANCH, author = '', path = '', page = 1 } = {}) {
+        const query = { sha: branch, page };
+        if (author) query.author = author;
+        if (path) query.path = path;
+        return this.main.commits(query);
+    }
+
+    loadCommit(sha) {
+        return this.main.commit(sha);
+    }
+
+    loadBranches() {
+        return this.main.branches();
+    }
+
+    static commit(c) {
+        const message = c.commit.message || '';
+        return {
+            sha: c.sha,
+            short: c.sha.substring(0, 7),
+            title: message.split('\n')[0],
+            message,
+            date: c.commit.author.date,
+            author: c.author ? c.author.login : c.commit.author.name,
+            login: c.author ? c.author.login : null,
+            avatar: c.author ? c.author.avatar_url : null,
+            url: c.html_url
+        };
+    }
+
+    static commitDetails(c) {
+        return {
+            ...GitHubAPI.commit(c),
+            additions: c.stats ? c.stats.additions : 0,
+            deletions: c.stats ? c.stats.deletions : 0,
+            files: (c.files || []).map(f => ({
+                name: f.filename,
+                sha: f.sha,
+                previous: f.previous_filename || null,
+                status: f.status,
+                additions: f.additions,
+                deletions: f.deletions,
+                url: f.blob_url
+            }))
+        };
+    }
+
+    // --- Issues and pull requests ---
+    // The repository's open_issues_count includes pull requests, so both
+    // numbers come from the search API instead
+    async loadIssueCounts() {
+        try {
+            const onUpdate = () => this.loadIssueCounts();
+            const [issues, pulls] = await Promise.all(['issue', 'pr'].map(type =>
+                this.main.searchIssues([`is:${type}`, 'is:open'], { perPage: 1, onUpdate })));
+            this.issueCounts = { open: issues.total, pulls: pulls.total };
+        } catch (e) {
+            Utils.log('Issue count fetch error:', e);
+        }
+        this.emit('issues');
+    }
+
+    fetchIssues({ type = 'issue', state = 'open', label = '', page = 1 } = {}) {
+        const qualifiers = [`is:${type}`];
+        if (state !== 'all') qualifiers.push(`is:${state}`);
+        if (label) qualifiers.push(`label:"${label.replace(/"/g, '')}"`);
+        return this.main.searchIssues(qualifiers, { page });
+    }
+
+    loadLabels() {
+        return this.main.labels();
+    }
+
+    static issue(i) {
+        return {
+            number: i.number,
+            title: i.title,
+            url: i.html_url,
+            state: i.state,
+            pull: !!i.pull_request,
+            merged: !!(i.pull_request && i.pull_request.merged_at),
+            author: i.user ? i.user.login : 'ghost',
+            created: i.created_at,
+            closed: i.closed_at,
+            comments: i.comments,
+            labels: (i.labels || []).map(l => ({
+                name: l.name,
+                color: /^[0-9a-f]{6}$/i.test(l.color) ? `#${l.color}` : null
+            }))
+        };
+    }
+
+    // --- Commit activity (last 52 weeks) ---
+    async loadActivity() {
+        const onUpdate = () => this.activityChanged();
+        const [weeks, frequency] = await Promise.all([
+            this.main.commitActivity({ onUpdate }),
+            this.main.codeFrequency({ onUpdate })
+        ].map(request => request.catch(e => {
+            Utils.log('Activity fetch error:', e);
+            return null;
+        })));
+        this.activity = weeks || frequency ? { weeks, frequency } : null;
+        this.renderActivity();
+        this.emit('activity');
+    }
+
+    activityChanged() {
+        clearTimeout(this.activityTimer);
+        this.activityTimer = setTimeout(() => this.loadActivity(), 100);
+    }
+
+    renderActivity() {
+        const panel = document.getElementById('commit-activity');
+        if (!panel || !this.activity) return;
+        const { weeks, frequency } = this.activity;
+        const label = (week) => I18n.date(week, { timeZone: 'UTC', month: 'short', day: 'numeric' });
+        const chart = (id, template) => {
+            const el = document.getElementById(id);
+            if (el) Template.render(el, template || html`<div class="commits-loading">${I18n.t('GitHub has not computed these statistics yet.')}</div>`);
+        };
+
+        chart('chart-heatmap', weeks && Charts.heatmap(weeks, { label: I18n.t('Commits per day over the last year') }));
+        chart('chart-weekly', weeks && Charts.lines({
+            labels: weeks.map(w => label(w.week)),
+            series: [{ label: I18n.t('Commits'), values: weeks.map(w => w.total) }]
+        }, { label: I18n.t('Commits per week') }));
+        const recent = frequency ? frequency.slice(-52) : null;
+        chart('chart-frequency', recent && Charts.lines({
+            labels: recent.map(w => label(w.week)),
+            series: [
+                { label: I18n.t('Lines added'), values: recent.map(w => w.additions) },
+                { label: I18n.t('Lines deleted'), values: recent.map(w => w.deletions) }
+            ]
+        }, { label: I18n.t('Lines added and deleted per week') }));
+        if (weeks) {
+            const total = weeks.reduce((sum, w) => sum + w.total, 0);
+            const active = weeks.filter(w => w.total > 0).length;
+            const summary = document.getElementById('commit-activity-summary');
+            if (summary) summary.textContent = I18n.n(
+                '{count} commit in the last 52 weeks, with activity in {active} of them.',
+                '{count} commits in the last 52 weeks, with activity in {active} of them.',
+                total, { active }
+            );
+        }
+        panel.hidden = false;
+    }
+
+    // --- Contributors ---
+    // Everyone who committed to either repository, merged by login (or by
+    // e-mail for commits not linked to a GitHub account)
+    async loadContributors() {
+        const repos = [this.main, this.engine];
+        try {
+            const lists = await Promise.all(repos.map(repo => repo.contributors(() => this.contributorsChanged())));
+            this.contributors = GitHubAPI.mergeContributors(Object.fromEntries(repos.map((repo, i) => [repo.name, lists[i]])));
+        } catch (e) {
+            Utils.log('Contributors fetch error:', e);
+            this.contributors = await Snapshot.use('contributors', data => GitHubAPI.mergeContributors(
+                Object.fromEntries(Object.entries(data).map(([repo, list]) => [repo, list.map(c => GitHubAPI.contributor(c))]))
+            ));
+        }
+        this.emit('contributors');
+    }
+
+    // Pages revalidate one by one; merge again once they have settled
+    contributorsChanged() {
+        clearTimeout(this.contributorsTimer);
+        this.contributorsTimer = setTimeout(() => this.loadContributors(), 100);
+    }
+
+    static contributor(c) {
+        const kind = c.type === 'Anonymous' ? 'anonymous'
+            : c.type === 'Bot' || /\[bot\]$/.test(c.login || '') ? 'bot' : 'user';
+        return {
+            key: kind === 'anonymous' ? `anon:${(c.email || c.name || '').toLowerCase()}` : c.login.toLowerCase(),
+            login: c.login || null,
+            name: c.login || c.name || c.email,
+            avatar: c.avatar_url || null,
+            url: c.html_url || null,
+            kind,
+            contributions: c.contributions
+        };
+    }
+
+    // { 'owner/repo': [contributor] } -> one entry per person, with counts per repo
+    static mergeContributors(lists) {
+        const people = new Map();
+        Object.entries(lists).forEach(([repo, list]) => list.forEach(c => {
+            const person = people.get(c.key) || { ...c, contributions: 0, repos: {} };
+            person.repos[repo] = (person.repos[repo] || 0) + c.contributions;
+            person.contributions += c.contributions;
+            people.set(c.key, person);
+        }));
+        return [...people.values()].sort((a, b) => b.contributions - a.contributions);
+    }
+
+    // --- Languages ---
+    async loadLanguages() {
+        try {
+            this.languages = await this.main.languages({
+                onUpdate: languages => {
+                    this.languages = languages;
+                    this.renderLanguages();
+                    this.emit('languages');
+                }
+            });
+        } catch (e) {
+            Utils.log('Languages fetch error:', e);
+            this.languages = await Snapshot.use('languages', data => GitHubAPI.languages(data));
+        }
+        this.renderLanguages();
+        this.emit('languages');
+    }
+
+    static languages(data) {
+        const total = Object.values(data).reduce((a, b) => a + b, 0);
+        return Object.entries(data).map(([name, bytes]) => ({
+            name,
+            percent: ((bytes / total) * 100).toFixed(1)
+        })).sort((a, b) => b.percent - a.percent);
+    }
+
+    // Colors are theme tokens (--lang-*), with unknown languages falling
+    // back to the accent palette by position
+    static languageColor(name, index) {
+        const slug = name.toLowerCase().replace(/\+/g, 'p').replace(/#/g, 'sharp').replace(/[^a-z0-9]+/g, '-');
+        const fallback = GitHubAPI.LANGUAGE_FALLBACKS[index % GitHubAPI.LANGUAGE_FALLBACKS.length];
+        return `var(--lang-${slug}, var(${fallback}))`;
+    }
+
+    renderLanguages() {
+        const bar = document.getElementById('languages-bar');
+        const legend = document.getElementById('languages-legend');
+        if (!bar || !this.languages) return;
+
+        Template.render(bar, this.languages.map((l, i) => {
+            const color = GitHubAPI.languageColor(l.name, i);
+            return html`<div class="lang-segment" style="width:${l.percent}%;background:${color}" title="${l.name}: ${l.percent}%"></div>`;
+        }));
+
+        if (legend) {
+            Template.render(legend, this.languages.slice(0, 6).map((l, i) => {
+                const color = GitHubAPI.languageColor(l.name, i);
+                return html`<span class="lang-item"><span class="lang-dot" style="background:${color}"></span>${l.name} <span class="lang-percent">${l.percent}%</span></span>`;
+            }));
+        }
+    }
+
+    // --- Ecosystem (CONFIG.ECOSYSTEM) ---
+    // One request per tool: the repository object carries the description,
+    // counts and last push. A card fills in as soon as its own data arrives.
+    async loadEcosystem() {
+        this.ecosystem = CONFIG.ECOSYSTEM.map(tool => ({
+            ...tool,
+            url: `https://github.com/${tool.repo}`,
+            loaded: false,
+            stats: null
+        }));
+        this.renderEcosystem();
+        await Promise.all(this.ecosystem.map(async tool => {
+            let stats = null;
+            try {
+                stats = await this.repo(tool.repo).stats();
+            } catch (e) {
+                Utils.log('Ecosystem fetch error:', tool.repo, e);
+            }
+            Object.assign(tool, { loaded: true, stats });
+            this.renderEcosystem();
+            this.emit('ecosystem');
+        }));
+    }
+
+    renderEcosystem() {
+        const container = document.getElementById('ecosystem-list');
+        if (!container || !this.ecosystem) return;
+        const dash = (tool, value) => value || (tool.loaded ? '—' : '…');
+        Template.render(container, this.ecosystem.map(tool => html`
+            <article class="ecosystem-card" data-key="${tool.repo}">
+                <h3 class="ecosystem-name"><a href="${tool.url}" target="_blank" rel="noopener">${tool.name}</a></h3>
+                <p class="ecosystem-description">${tool.stats ? tool.stats.description : dash(tool, '')}</p>
+                <dl class="ecosystem-meta">
+                    <div>
+                        <dt>${I18n.t('Stars')}</dt>
+                        <dd>${dash(tool, tool.stats && Utils.formatNumber(tool.stats.stars))}</dd>
+                    </div>
+                    <div>
+                        <dt>${I18n.t('Forks')}</dt>
+                        <dd>${dash(tool, tool.stats && Utils.formatNumber(tool.stats.forks))}</dd>
+                    </div>
+                    <div>
+                        <dt>${I18n.t('Last push')}</dt>
+                        <dd>${dash(tool, tool.stats && tool.stats.pushedAt && Utils.timeAgo(tool.stats.pushedAt))}</dd>
+                    </div>
+                </dl>
+            </article>
+        `));
+    }
+
+    // --- Latest Release ---
+    async loadLatestRelease() {
+        try {
+            this.latestRelease = await this.engine.latestRelease({
+                onUpdate: release => {
+                    this.latestRelease = release;
+                    this.renderLatestRelease();
+                }
+            });
+        } catch (e) {
+            Utils.log('Latest release fetch error:', e);
+            this.latestRelease = await Snapshot.use('latest-release', data => GitHubAPI.release(data));
+        }
+        this.renderLatestRelease();
+    }
+
+    renderLatestRelease() {
+        if (!this.latestRelease) return;
+        this.emit('release');
+        this.renderDownloadLinks();
+        const el = document.getElementById('latest-release-badge');
+        if (!el) return;
+        const r = this.latestRelease;
+        Template.render(el, html`<a href="${r.url}" target="_blank" rel="noopener" class="release-badge-link">
+            <svg class="release-badge-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/></svg>
+            <span class="release-badge-text">${r.tag}</span>
+            <span class="release-badge-date">${Utils.timeAgo(r.date)}</span>
+        </a>`);
+        el.style.display = 'inline-flex';
+    }
+
+    // --- Direct download links for the visitor's platform ---
+    async renderDownloadLinks() {
+        const assets = ReleaseAssets.list(this.latestRelease.assets);
+        if (!assets.length) return;
+        const platform = await Platform.detect();
+        const best = ReleaseAssets.pick(assets, platform);
+
+        if (best) {
+            document.querySelectorAll('[data-download]').forEach(btn => {
+                btn.href = Template.url(best.url);
+                btn.removeAttribute('target');
+                btn.title = `${best.name} (${Utils.formatBytes(best.size)})`;
+                const label = btn.querySelector('.btn-label');
+                if (label && btn.dataset.download === 'label') {
+                    label.textContent = I18n.t('Download for {platform}', { platform: ReleaseAssets.label(best) });
+                }
+            });
+        }
+
+        document.querySelectorAll('.os-item[data-os]').forEach(tile => {
+            const os = tile.dataset.os;
+            const asset = ReleaseAssets.pick(assets, { os, arch: platform.os === os ? platform.arch : 'x64' });
+            if (!asset) return;
+            tile.href = Template.url(asset.url);
+            tile.removeAttribute('target');
+            tile.title = `${asset.name} (${Utils.formatBytes(asset.size)})`;
+            const caption = tile.querySelector('.os-download');
+            if (caption) caption.textContent = [ReleaseAssets.ARCH_NAMES[asset.arch], I18n.t(ReleaseAssets.KIND_NAMES[asset.kind])].filter(Boolean).join(' · ');
+        });
+
+        const menu = document.getElementById('download-menu');
+        const list = document.getElementById('download-menu-list');
+        if (!menu || !list) return;
+        Template.render(list, html`${Object.keys(ReleaseAssets.OS_NAMES).map(os => {
+            const items = assets.filter(a => a.os === os);
+            if (!items.length) return '';
+            return html`<div class="download-menu-group">
+                <span class="download-menu-os">${ReleaseAssets.OS_NAMES[os]}</span>
+                ${items.map(a => html`<a href="${a.url}" class="download-menu-item${a === best ? ' current' : ''}">
+                    <span>${ReleaseAssets.label(a)}</span>
+                    <span class="download-menu-size">${Utils.formatBytes(a.size)}</span>
+                </a>`)}
+            </div>`;
+        })}<a href="${this.latestRelease.url}" target="_blank" rel="noopener" class="download-menu-all">${I18n.t('All assets for {tag}', { tag: this.latestRelease.tag })}</a>`);
+        menu.hidden = false;
+    }
+}
+
+GitHubAPI.SOURCES = {
+    repo: 'loadRepoStats',
+    downloads: 'loadTotalDownloads',
+    release: 'loadLatestRelease',
+    commits: 'loadCommits',
+    contributors: 'loadContributors',
+    languages: 'loadLanguages',
+    ecosystem: 'loadEcosystem',
+    activity: 'loadActivity',
+    issues: 'loadIssueCounts'
+};
+GitHubAPI.COMMITS_PAGE_SIZE = 20;
+GitHubAPI.ISSUES_PAGE_SIZE = 30;
+GitHubAPI.LANGUAGE_FALLBACKS = ['--accent-violet', '--accent-cyan', '--warning', '--error', '--success', '--accent-pink'];
+
+// === DATA BINDINGS ===
+// Pages declare the live data they show and only those sources are fetched:
+//   <span data-die-bind="repo.stars" data-die-format="compact" data-die-suffix="+">10,200+</span>
+//   <a data-die-bind="release.url" data-die-attr="href">…</a>
+//   <div data-die-source="contributors"></div>   (containers rendered elsewhere)
+//   <div data-die-source="ecosystem" data-die-defer></div>   (fetched once its section is near)
+class DataBindings {
+    constructor(api, root = document) {
+        this.api = api;
+        this.root = root;
+        this.elements = [];
+        this.deferred = new Map();
+    }
+
+    static resolve(data, path) {
+        return path.split('.').slice(1).reduce((value, key) => (value == null ? value : value[key]), data);
+    }
+
+    static format(value, format) {
+        const formatter = DataBindings.FORMATS[format];
+        return formatter ? formatter(value) : String(value);
+    }
+
+    // Sources to load now; those only deferred containers use go to this.deferred
+    scan() {
+        this.elements = Array.from(this.root.querySelectorAll('[data-die-bind]'));
+        const sources = new Set(this.elements.map(el => el.dataset.dieBind.split('.')[0]));
+        const split = el => el.dataset.dieSource.split(/\s+/).filter(Boolean);
+        this.root.querySelectorAll('[data-die-source]:not([data-die-defer])').forEach(el => {
+            split(el).forEach(source => sources.add(source));
+        });
+        this.deferred.clear();
+        this.root.querySelectorAll('[data-die-source][data-die-defer]').forEach(el => {
+            split(el).filter(source => !sources.has(source)).forEach(source => {
+                if (!this.deferred.has(source)) this.deferred.set(source, []);
+                this.deferred.get(source).push(el);
+            });
+        });
+        return sources;
+    }
+
+    start() {
+        const sources = this.scan();
+        this.api.subscribe(source => this.update(source));
+        this.observeDeferred();
+        return this.api.load(sources);
+    }
+
+    // Sources that cost many requests wait until their section is near, so a
+    // visit that never scrolls there leaves the rate limit alone. Containers
+    // may start hidden, so the section around them is what gets watched.
+    observeDeferred() {
+        if (!this.deferred.size) return;
+        if (!('IntersectionObserver' in window)) {
+            this.api.load(this.deferred.keys());
+            return;
+        }
+        const targets = new Map();
+        this.deferred.forEach((elements, source) => elements.forEach(el => {
+            const target = el.closest('section') || el;
+            if (!targets.has(target)) targets.set(target, new Set());
+            targets.get(target).add(source);
+        }));
+        const observer = new IntersectionObserver((entries) => {
+            entries.filter(e => e.isIntersecting).forEach(e => {
+                observer.unobserve(e.target);
+                const due = [...targets.get(e.target)].filter(source => this.deferred.delete(source));
+                if (due.length) this.api.load(due);
+            });
+        }, { rootMargin: '200px 0px' });
+        targets.forEach((sources, target) => observer.observe(target));
+    }
+
+    update(source) {
+        this.root.querySelectorAll('[data-die-source][aria-busy]').forEach(el => {
+            if (el.dataset.dieSource.split(/\s+/).includes(source)) el.removeAttribute('aria-busy');
+        });
+        const data = this.api.data(source);
+        if (!data) return;
+        const changes = [];
+        this.elements
+            .filter(el => el.dataset.dieBind.split('.')[0] === source)
+            .forEach(el => {
+                const value = DataBindings.resolve(data, el.dataset.dieBind);
+                if (value == null) return;
+                const text = DataBindings.format(value, el.dataset.dieFormat) + (el.dataset.dieSuffix || '');
+                if (el.dataset.dieAttr) {
+                    el.setAttribute(el.dataset.dieAttr, /^(href|src)$/i.test(el.dataset.dieAttr) ? Template.url(text) : text);
+                    return;
+                }
+                // The first value replaces the markup placeholder; later ones are news
+                if (el.dataset.dieAnnounce && 'dieBound' in el.dataset && el.textContent !== text) {
+                    changes.push(I18n.t('{label}: {value}', { label: I18n.t(el.dataset.dieAnnounce), value: text }));
+                }
+                el.dataset.dieBound = '';
+                DataBindings.setText(el, text);
+            });
+        if (changes.length) Announcer.say(changes.join(', '));
+    }
+
+    static setText(el, value) {
+        if (el.textContent === value) return;
+        if (Motion.reduced) {
+            el.textContent = value;
+            return;
+        }
+        el.style.transition = 'transform 0.3s ease, opacity 0.3s ease';
+        el.style.transform = 'scale(0.85)';
+        el.style.opacity = '0';
+        setTimeout(() => {
+            el.textContent = value;
+            el.style.transform = 'scale(1)';
+            el.style.opacity = '1';
+        }, 150);
+    }
+}
+
+DataBindings.FORMATS = {
+    compact: value => Utils.formatNumber(value),
+    full: value => Utils.formatNumberFull(value),
+    ago: value => Utils.timeAgo(value),
+    date: value => I18n.date(value),
+    bytes: value => Utils.formatBytes(value),
+    count: value => Utils.formatNumberFull(Array.isArray(value) ? value.length : value)
+};
+
+// === BINARY PARSER ===
+// Client-side header parser for PE, ELF and Mach-O. Works on an ArrayBuffer,
+// never touches the network.
+class BinaryParser {
+    static parse(buffer) {
+        const view = new DataView(buffer);
+        if (view.byteLength < 4) return null;
+
+        if (view.getUint16(0, true) === 0x5A4D) {
+            return this.parsePE(view) || { format: 'MS-DOS', type: 'Executable', bits: 16, arch: 'x86', endian: 'LE', sections: [], libraries: [], details: [] };
+        }
+        if (view.getUint32(0, false) === 0x7F454C46) {
+            return this.parseELF(view);
+        }
+        const magic = view.getUint32(0, false);
+        if ([0xFEEDFACE, 0xFEEDFACF, 0xCEFAEDFE, 0xCFFAEDFE].includes(magic)) {
+            return this.parseMachO(view, 0);
+        }
+        // Java class files share the fat magic; their "arch count" is the class version (>= 45)
+        if ((magic === 0xCAFEBABE || magic === 0xCAFEBABF) && view.byteLength >= 8 && view.getUint32(4, false) < 45) {
+            return this.parseFat(view, magic === 0xCAFEBABF);
+        }
+        return null;
+    }
+
+    // --- Helpers ---
+    static u64(view, offset, le) {
+        return Number(view.getBigUint64(offset, le));
+    }
+
+    static cString(view, offset, max = 256) {
+        let s = '';
+        for (let i = offset; i < Math.min(view.byteLength, offset + max); i++) {
+            const b = view.getUint8(i);
+            if (b === 0) break;
+            s += String.fromCharCode(b);
+        }
+        return s;
+    }
+
+    static inRange(view, offset, length = 1) {
+        return offset >= 0 && offset + length <= view.byteLength;
+    }
+
+    // --- PE ---
+    static parsePE(view) {
+        if (!this.inRange(view, 0x3C, 4)) return null;
+        const peOffset = view.getUint32(0x3C, true);
+        if (!this.inRange(view, peOffset, 24) || view.getUint32(peOffset, false) !== 0x50450000) return null;
+
+        const coff = peOffset + 4;
+        const machine = view.getUint16(coff, true);
+        const numberOfSections = view.getUint16(coff + 2, true);
+        const timestamp = view.getUint32(coff + 4, true);
+        const sizeOfOptionalHeader = view.getUint16(coff + 16, true);
+        const characteristics = view.getUint16(coff + 18, true);
+
+        const opt = coff + 20;
+        if (!this.inRange(view, opt, 2)) return null;
+        const optMagic = view.getUint16(opt, true);
+        const is64 = optMagic === 0x20B;
+        if (!is64 && optMagic !== 0x10B) return null;
+        if (!this.inRange(view, opt, is64 ? 112 : 96)) return null;
+
+        const entryRva = view.getUint32(opt + 16, true);
+        const imageBase = is64 ? this.u64(view, opt + 24, true) : view.getUint32(opt + 28, true);
+        const subsystem = view.getUint16(opt + 68, true);
+        const numberOfRvaAndSizes = view.getUint32(opt + (is64 ? 108 : 92), true);
+        const dirBase = opt + (is64 ? 112 : 96);
+        const directory = (index) => {
+            if (index >= numberOfRvaAndSizes || !this.inRange(view, dirBase + index * 8, 8)) return { rva: 0, size: 0 };
+            return { rva: view.getUint32(dirBase + index * 8, true), size: view.getUint32(dirBase + index * 8 + 4, true) };
+        };
+
+        const sections = [];
+        const sectionTable = opt + sizeOfOptionalHeader;
+        for (let i = 0; i < Math.min(numberOfSections, 96); i++) {
+            const off = sectionTable + i * 40;
+            if (!this.inRange(view, off, 40)) break;
+            sections.push({
+                name: this.cString(view, off, 8),
+                address: view.getUint32(off + 12, true),
+                virtualSize: view.getUint32(off + 8, true),
+                size: view.getUint32(off + 16, true),
+                offset: view.getUint32(off + 20, true),
+                flags: view.getUint32(off + 36, true)
+            });
+        }
+
+        const rvaToOffset = (rva) => {
+            for (const s of sections) {
+                const span = Math.max(s.virtualSize, s.size);
+                if (rva >= s.address && rva < s.address + span) {
+                    const off = rva - s.address + s.offset;
+                    return off < s.offset + s.size ? off : -1;
+                }
+            }
+            return (!sections.length || rva < sections[0].address) ? rva : -1;
+        };
+
+        const isDll = (characteristics & 0x2000) !== 0;
+        const isDotNet = directory(14).rva !== 0;
+        const linker = `${view.getUint8(opt + 2)}.${view.getUint8(opt + 3)}`;
+
+        return {
+            format: 'PE',
+            type: isDll ? 'DLL' : ((characteristics & 0x0002) ? 'Executable' : 'Object'),
+            arch: this.PE_MACHINES[machine] || `Unknown (0x${Utils.hex(machine, 4)})`,
+            bits: is64 ? 64 : 32,
+            endian: 'LE',
+            entryPoint: entryRva ? imageBase + entryRva : null,
+            entryOffset: entryRva ? rvaToOffset(entryRva) : -1,
+            subsystem: this.PE_SUBSYSTEMS[subsystem] || `Unknown (${subsystem})`,
+            sections,
+            libraries: this.parsePEImports(view, directory(1), rvaToOffset, is64),
+            details: [
+                { label: I18n.t('Image base'), value: '0x' + Utils.hex(imageBase, is64 ? 16 : 8) },
+                { label: I18n.t('Linker'), value: linker },
+                { label: I18n.t('Timestamp'), value: timestamp ? new Date(timestamp * 1000).toISOString().replace('T', ' ').slice(0, 19) : '—' },
+                { label: '.NET', value: I18n.t(isDotNet ? 'Yes' : 'No') }
+            ],
+            pe: { offset: peOffset, machine, characteristics, linker, isDotNet, imageBase, entryRva }
+        };
+    }
+
+    static parsePEImports(view, dir, rvaToOffset, is64) {
+        const libraries = [];
+        if (!dir.rva) return libraries;
+        let desc = rvaToOffset(dir.rva);
+        if (desc < 0) return libraries;
+
+        for (let i = 0; i < 1024 && this.inRange(view, desc, 20); i++, desc += 20) {
+            const lookup = view.getUint32(desc, true);
+            const nameRva = view.getUint32(desc + 12, true);
+            const thunk = view.getUint32(desc + 16, true);
+            if (!nameRva && !thunk) break;
+
+            const nameOff = rvaToOffset(nameRva);
+            const library = { name: nameOff >= 0 ? this.cString(view, nameOff) : '?', functions: [] };
+            let entry = rvaToOffset(lookup || thunk);
+            const step = is64 ? 8 : 4;
+            for (let j = 0; entry >= 0 && j < 4096 && this.inRange(view, entry, step); j++, entry += step) {
+                const value = is64 ? view.getBigUint64(entry, true) : BigInt(view.getUint32(entry, true));
+                if (value === 0n) break;
+                const ordinalFlag = is64 ? 0x8000000000000000n : 0x80000000n;
+                if (value & ordinalFlag) {
+                    library.functions.push(`#${Number(value & 0xFFFFn)}`);
+                } else {
+                    const hint = rvaToOffset(Number(value & 0x7FFFFFFFn));
+                    library.functions.push(hint >= 0 ? this.cString(view, hint + 2) : '?');
+                }
+            }
+            libraries.push(library);
+        }
+        return libraries;
+    }
+
+    // --- ELF ---
+    static parseELF(view) {
+        const is64 = view.getUint8(4) === 2;
+        const le = view.getUint8(5) !== 2;
+        if (!this.inRange(view, 0, is64 ? 64 : 52)) return null;
+
+        const word = (off) => is64 ? this.u64(view, off, le) : view.getUint32(off, le);
+        const type = view.getUint16(16, le);
+        const machine = view.getUint16(18, le);
+        const entry = word(24);
+        const phoff = word(is64 ? 32 : 28);
+        const shoff = word(is64 ? 40 : 32);
+        const base = is64 ? 54 : 42;
+        const phentsize = view.getUint16(base, le);
+        const phnum = view.getUint16(base + 2, le);
+        const shentsize = view.getUint16(base + 4, le);
+        const shnum = view.getUint16(base + 6, le);
+        const shstrndx = view.getUint16(base + 8, le);
+
+        const segments = [];
+        for (let i = 0; i < Math.min(phnum, 256); i++) {
+            const off = phoff + i * phentsize;
+            if (!this.inRange(view, off, is64 ? 56 : 32)) break;
+            segments.push(is64 ? {
+                type: view.getUint32(off, le),
+                offset: this.u64(view, off + 8, le),
+                address: this.u64(view, off + 16, le),
+                size: this.u64(view, off + 32, le)
+            } : {
+                type: view.getUint32(off, le),
+                offset: view.getUint32(off + 4, le),
+                address: view.getUint32(off + 8, le),
+                size: view.getUint32(off + 16, le)
+            });
+        }
+
+        const sections = [];
+        for (let i = 0; shoff && i < Math.min(shnum, 1024); i++) {
+            const off = shoff + i * shentsize;
+            if (!this.inRange(view, off, is64 ? 64 : 40)) break;
+            sections.push(is64 ? {
+                nameOffset: view.getUint32(off, le),
+                kind: view.getUint32(off + 4, le),
+                flags: this.u64(view, off + 8, le),
+                address: this.u64(view, off + 16, le),
+                offset: this.u64(view, off + 24, le),
+                size: this.u64(view, off + 32, le),
+                link: view.getUint32(off + 40, le),
+                entrySize: this.u64(view, off + 56, le)
+            } : {
+                nameOffset: view.getUint32(off, le),
+                kind: view.getUint32(off + 4, le),
+                flags: view.getUint32(off + 8, le),
+                address: view.getUint32(off + 12, le),
+                offset: view.getUint32(off + 16, le),
+                size: view.getUint32(off + 20, le),
+                link: view.getUint32(off + 24, le),
+                entrySize: view.getUint32(off + 36, le)
+            });
+        }
+        const strtab = sections[shstrndx];
+        sections.forEach(s => {
+            s.name = strtab ? this.cString(view, strtab.offset + s.nameOffset, 64) : '';
+            s.virtualSize = s.size;
+        });
+
+        const addressToOffset = (address) => {
+            const seg = segments.find(s => s.type === 1 && address >= s.address && address < s.address + s.size);
+            return seg ? address - seg.address + seg.offset : -1;
+        };
+
+        const interpSeg = segments.find(s => s.type === 3);
+        const interpreter = interpSeg ? this.cString(view, interpSeg.offset) : null;
+        const types = { 1: 'Relocatable', 2: 'Executable', 3: interpreter ? 'PIE executable' : 'Shared object', 4: 'Core dump' };
+
+        return {
+            format: 'ELF',
+            type: types[type] || `Unknown (${type})`,
+            arch: this.ELF_MACHINES[machine] || `Unknown (${machine})`,
+            bits: is64 ? 64 : 32,
+            endian: le ? 'LE' : 'BE',
+            entryPoint: entry || null,
+            entryOffset: entry ? addressToOffset(entry) : -1,
+            subsystem: this.ELF_OSABI[view.getUint8(7)] || `OS/ABI ${view.getUint8(7)}`,
+            sections: sections.filter(s => s.name || s.kind),
+            libraries: this.parseELFNeeded(view, sections, segments, addressToOffset, is64, le).map(name => ({ name, functions: [] })),
+            details: [
+                { label: I18n.t('Interpreter'), value: interpreter || '—' },
+                { label: I18n.t('Program headers'), value: String(segments.length) }
+            ],
+            elf: { machine, type, osabi: view.getUint8(7) }
+        };
+    }
+
+    static parseELFNeeded(view, sections, segments, addressToOffset, is64, le) {
+        const entrySize = is64 ? 16 : 8;
+        let dyn = null;
+        let strOffset = -1;
+
+        const dynSection = sections.find(s => s.kind === 6);
+        if (dynSection) {
+            dyn = { offset: dynSection.offset, size: dynSection.size };
+            if (sections[dynSection.link]) strOffset = sections[dynSection.link].offset;
+        } else {
+            const seg = segments.find(s => s.type === 2);
+            if (seg) dyn = { offset: seg.offset, size: seg.size };
+        }
+        if (!dyn) return [];
+
+        const needed = [];
+        for (let off = dyn.offset; off + entrySize <= dyn.offset + dyn.size && this.inRange(view, off, entrySize); off += entrySize) {
+            const tag = is64 ? this.u64(view, off, le) : view.getUint32(off, le);
+            const value = is64 ? this.u64(view, off + 8, le) : view.getUint32(off + 4, le);
+            if (tag === 0) break;
+            if (tag === 1) needed.push(value);
+            if (tag === 5 && strOffset < 0) strOffset = addressToOffset(value);
+        }
+        return strOffset < 0 ? [] : needed.map(n => this.cString(view, strOffset + n));
+    }
+
+    // --- Mach-O ---
+    static parseMachO(view, start) {
+        const magic = view.getUint32(start, false);
+        const le = magic === 0xCEFAEDFE || magic === 0xCFFAEDFE;
+        const is64 = magic === 0xFEEDFACF || magic === 0xCFFAEDFE;
+        if (!this.inRange(view, start, is64 ? 32 : 28)) return null;
+
+        const cpuType = view.getUint32(start + 4, le);
+        const fileType = view.getUint32(start + 12, le);
+        const ncmds = view.getUint32(start + 16, le);
+
+        const sections = [];
+        const libraries = [];
+        let textAddress = 0;
+        let entryPoint = null;
+        let entryOffset = -1;
+        let threadPc = null;
+
+        let cmd = start + (is64 ? 32 : 28);
+        for (let i = 0; i < Math.min(ncmds, 512) && this.inRange(view, cmd, 8); i++) {
+            const type = view.getUint32(cmd, le);
+            const size = view.getUint32(cmd + 4, le);
+            if (size < 8) break;
+
+            if (type === 0x1 || type === 0x19) {
+                const seg64 = type === 0x19;
+                const segName = this.cString(view, cmd + 8, 16);
+                const vmaddr = seg64 ? this.u64(view, cmd + 24, le) : view.getUint32(cmd + 24, le);
+                if (segName === '__TEXT') textAddress = vmaddr;
+                const nsects = view.getUint32(cmd + (seg64 ? 64 : 48), le);
+                let sect = cmd + (seg64 ? 72 : 56);
+                for (let j = 0; j < Math.min(nsects, 256) && this.inRange(view, sect, seg64 ? 80 : 68); j++) {
+                    const size = seg64 ? this.u64(view, sect + 40, le) : view.getUint32(sect + 36, le);
+                    sections.push({
+                        name: `${this.cString(view, sect + 16, 16)},${this.cString(view, sect, 16)}`,
+                        address: seg64 ? this.u64(view, sect + 32, le) : view.getUint32(sect + 32, le),
+                        virtualSize: size,
+                        size,
+                        offset: view.getUint32(sect + (seg64 ? 48 : 40), le),
+                        flags: view.getUint32(sect + (seg64 ? 64 : 56), le)
+                    });
+                    sect += seg64 ? 80 : 68;
+                }
+            } else if (type === 0x80000028) {
+                entryOffset = this.u64(view, cmd + 8, le);
+            } else if (type === 0x5) {
+                threadPc = this.machThreadPc(view, cmd, cpuType, le);
+            } else if ([0xC, 0x80000018, 0x8000001F, 0x20].includes(type)) {
+                libraries.push({ name: this.cString(view, cmd + view.getUint32(cmd + 8, le), 512), functions: [] });
+            }
+            cmd += size;
+        }
+
+        if (entryOffset >= 0) {
+            entryPoint = textAddress + entryOffset;
+            entryOffset += start;
+        } else if (threadPc !== null) {
+            entryPoint = threadPc;
+            const s = sections.find(x => threadPc >= x.address && threadPc < x.address + x.size);
+            entryOffset = s ? start + s.offset + (threadPc - s.address) : -1;
+        }
+
+        return {
+            format: 'Mach-O',
+            type: this.MACH_FILETYPES[fileType] || `Unknown (${fileType})`,
+            arch: this.MACH_CPUS[cpuType] || `Unknown (0x${Utils.hex(cpuType, 8)})`,
+            bits: is64 ? 64 : 32,
+            endian: le ? 'LE' : 'BE',
+            entryPoint,
+            entryOffset,
+            subsystem: 'Darwin',
+            sections,
+            libraries,
+            details: [
+                { label: I18n.t('Load commands'), value: String(ncmds) }
+            ],
+            mach: { cpuType, fileType, offset: start }
+        };
+    }
+
+    static machThreadPc(view, cmd, cpuType, le) {
+        const state = cmd + 16;
+        const at = { 0x7: [40, 4], 0x01000007: [128, 8], 0xC: [60, 4], 0x0100000C: [256, 8] }[cpuType];
+        if (!at || !this.inRange(view, state + at[0], at[1])) return null;
+        return at[1] === 8 ? this.u64(view, state + at[0], le) : view.getUint32(state + at[0], le);
+    }
+
+    static parseFat(view, fat64) {
+        const count = view.getUint32(4, false);
+        const stride = fat64 ? 32 : 20;
+        const slices = [];
+        for (let i = 0; i < count && this.inRange(view, 8 + i * stride, stride); i++) {
+            const entry = 8 + i * stride;
+            const offset = fat64 ? this.u64(view, entry + 8, false) : view.getUint32(entry + 8, false);
+            if (!this.inRange(view, offset, 32)) continue;
+            const slice = this.parseMachO(view, offset);
+            if (slice) slices.push(slice);
+        }
+        if (!slices.length) return null;
+        return Object.assign({}, slices[0], {
+            universal: true,
+            slices,
+            arch: slices.map(s => s.arch).join(', ')
+        });
+    }
+}
+
+BinaryParser.PE_MACHINES = {
+    0x014C: 'x86', 0x8664: 'x86-64', 0x01C0: 'ARM', 0x01C4: 'ARM Thumb-2', 0xAA64: 'ARM64',
+    0x0200: 'IA-64', 0x5032: 'RISC-V 32', 0x5064: 'RISC-V 64', 0x0EBC: 'EFI byte code', 0x0166: 'MIPS'
+};
+
+BinaryParser.PE_SUBSYSTEMS = {
+    0: 'Unknown', 1: 'Native', 2: 'Windows GUI', 3: 'Windows console', 5: 'OS/2 console', 7: 'POSIX console',
+    9: 'Windows CE GUI', 10: 'EFI application', 11: 'EFI boot service driver', 12: 'EFI runtime driver',
+    13: 'EFI ROM', 14: 'Xbox', 16: 'Windows boot application'
+};
+
+BinaryParser.ELF_MACHINES = {
+    2: 'SPARC', 3: 'x86', 8: 'MIPS', 20: 'PowerPC', 21: 'PowerPC64', 22: 'S390', 40: 'ARM',
+    43: 'SPARC V9', 50: 'IA-64', 62: 'x86-64', 183: 'ARM64', 243: 'RISC-V', 258: 'LoongArch'
+};
+
+BinaryParser.ELF_OSABI = {
+    0: 'System V', 1: 'HP-UX', 2: 'NetBSD', 3: 'Linux', 6: 'Solaris', 7: 'AIX', 8: 'IRIX',
+    9: 'FreeBSD', 12: 'OpenBSD', 97: 'ARM EABI', 255: 'Standalone'
+};
+
+BinaryParser.MACH_CPUS = {
+    0x7: 'x86', 0x01000007: 'x86-64', 0xC: 'ARM', 0x0100000C: 'ARM64', 0x0200000C: 'ARM64_32',
+    0x12: 'PowerPC', 0x01000012: 'PowerPC64'
+};
+
+BinaryParser.MACH_FILETYPES = {
+    1: 'Object', 2: 'Executable', 3: 'Fixed VM library', 4: 'Core dump', 5: 'Preloaded executable',
+    6: 'Dynamic library', 7: 'Dynamic linker', 8: 'Bundle', 9: 'Dylib stub', 10: 'Debug symbols', 11: 'Kext bundle'
+};
+
+// === SIGNATURE RUNTIME ===
+// Runs DIE .sg scripts in a Web Worker. Each script gets a time budget; a
+// script that overruns it has its worker terminated and the scan resumes
+// in a fresh worker with the next script.
+class SignatureRuntime {
+    static async loadBundled() {
+        if (this.bundled) return this.bundled;
+        const base = new URL('signatures/', CONFIG.SITE_ROOT);
+        const resp = await fetch(new URL('index.json', base));
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const { files } = await resp.json();
+        this.bundled = await Promise.all(files.map(async name => {
+            const r = await fetch(new URL(name, base));
+            if (!r.ok) throw new Error(`HTTP ${r.status}`);
+            return { name, source: await r.text() };
+        }));
+        return this.bundled;
+    }
+
+    static appliesTo(scriptName, format) {
+        const folder = scriptName.includes('/') ? scriptName.split('/')[0].toUpperCase() : null;
+        if (!folder || folder === 'BINARY') return true;
+        return SignatureRuntime.FOLDERS[folder] === format;
+    }
+
+    static formatHeader(info) {
+        if (!info) return 'Binary';
+        return { 'PE': 'PE', 'ELF': 'ELF', 'Mach-O': 'MACHO', 'MS-DOS': 'MSDOS' }[info.format] + (info.format === 'MS-DOS' ? '' : info.bits);
+    }
+
+    static formatResult(r) {
+        const type = r.type ? r.type.charAt(0).toUpperCase() + r.type.slice(1) : 'Unknown';
+        return `${type}: ${r.name}${r.version ? `(${r.version})` : ''}${r.options ? `[${r.options}]` : ''}`;
+    }
+
+    run({ buffer, info, fileName, scripts }) {
+        const pending = scripts.filter(s => SignatureRuntime.appliesTo(s.name, info ? info.format : null));
+        const outcomes = pending.map(s => ({ name: s.name, results: [], error: null }));
+
+        return new Promise(resolve => {
+            let worker = null;
+            let timer = null;
+            let current = 0;
+            // The worker reports start, then result or error, for each script
+            // in turn; anything else is not from the script being run
+            let running = false;
+
+            const finish = () => {
+                clearTimeout(timer);
+                if (worker) worker.terminate();
+                worker = null;
+                resolve(outcomes);
+            };
+
+            const arm = () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => fail('Timed out'), CONFIG.SIGNATURE_TIMEOUT);
+            };
+
+            const fail = (message) => {
+                if (outcomes[current]) outcomes[current].error = message;
+                worker.terminate();
+                start(current + 1);
+            };
+
+            const start = (from) => {
+                if (from >= pending.length) return finish();
+                current = from;
+                running = false;
+                worker = new Worker(new URL('js/sg-worker.js', CONFIG.SITE_ROOT));
+                worker.onmessage = (e) => {
+                    const msg = e.data || {};
+                    if (msg.type === 'log') {
+                        Utils.log('[sg]', msg.message);
+                    } else if (!running) {
+                        if (msg.type === 'start' && msg.index === current) {
+                            running = true;
+                            arm();
+                        } else if (msg.type === 'done' && current === pending.length) {
+                            finish();
+                        }
+                    } else if (msg.index === current && (msg.type === 'result' || msg.type === 'error')) {
+                        if (msg.type === 'result' && Array.isArray(msg.results)) outcomes[current].results = msg.results;
+                        if (msg.type === 'error') outcomes[current].error = String(msg.message);
+                        running = false;
+                        current++;
+                    }
+                };
+                worker.onerror = (e) => {
+                    e.preventDefault();
+                    fail(e.message || 'Worker error');
+                };
+                worker.postMessage({ buffer, info, fileName, scripts: pending, start: from });
+                arm();
+            };
+
+            start(0);
+        });
+    }
+}
+
+SignatureRuntime.FOLDERS = { PE: 'PE', ELF: 'ELF', MACH: 'Mach-O', MSDOS: 'MS-DOS' };
+
+// === BINARY INSPECTOR ===
+class BinaryInspector {
+    constructor() {
+        this.zone = document.getElementById('inspector-dropzone');
+        this.input = document.getElementById('inspector-input');
+        this.output = document.getElementById('inspector-result');
+        this.sgInput = document.getElementById('inspector-sg-input');
+        this.sgSource = document.getElementById('inspector-sg-source');
+        if (!this.zone || !this.input || !this.output) return;
+        this.runtime = typeof Worker !== 'undefined' ? new SignatureRuntime() : null;
+        this.customScripts = null;
+        this.bind();
+    }
+
+    bind() {
+        ['dragenter', 'dragover'].forEach(type => this.zone.addEventListener(type, (e) => {
+            e.preventDefault();
+            this.zone.classList.add('dragging');
+        }));
+        ['dragleave', 'drop'].forEach(type => this.zone.addEventListener(type, () => {
+            this.zone.classList.remove('dragging');
+        }));
+        this.zone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) this.inspect(file);
+        });
+        this.zone.addEventListener('click', () => this.input.click());
+        this.zone.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.input.click();
+            }
+        });
+        this.input.addEventListener('change', () => {
+            if (this.input.files[0]) this.inspect(this.input.files[0]);
+            this.input.value = '';
+        });
+        if (this.sgInput) {
+            this.sgInput.addEventListener('change', () => this.loadScripts(this.sgInput.files));
+        }
+    }
+
+    async loadScripts(files) {
+        const list = Array.from(files || []).filter(f => /\.sg$/i.test(f.name));
+        if (!list.length) return;
+        this.customScripts = await Promise.all(list.map(async f => ({
+            name: f.webkitRelativePath || f.name,
+            source: await f.text()
+        })));
+        if (this.sgSource) {
+            this.sgSource.textContent = I18n.n('{count} uploaded signature', '{count} uploaded signatures', this.customScripts.length);
+        }
+        this.sgInput.value = '';
+        if (this.result) this.scan();
+    }
+
+    async scan() {
+        const container = document.getElementById('inspector-scan');
+        if (!container || !this.runtime) return;
+        const buffer = this.buffer;
+        Template.render(container, html`<div class="inspector-message">${I18n.t('Running signatures…')}</div>`);
+        try {
+            const scripts = this.customScripts || await SignatureRuntime.loadBundled();
+            const { slices, ...info } = this.result;
+            const outcomes = await this.runtime.run({ buffer, info, fileName: this.file.name, scripts });
+            if (buffer !== this.buffer) return;
+            this.renderScan(container, info, outcomes);
+        } catch (e) {
+            Utils.log('Signature scan error:', e);
+            Template.render(container, html`<div class="inspector-message">${I18n.t('Signatures could not be loaded.')}</div>`);
+        }
+    }
+
+    renderScan(container, info, outcomes) {
+        const lines = outcomes.flatMap(o => o.results.map(r => SignatureRuntime.formatResult(r)));
+        const failed = outcomes.filter(o => o.error);
+        Template.render(container, html`
+            <h4 class="inspector-heading">${I18n.t('Signatures')} <span>${I18n.n('{count} script', '{count} scripts', outcomes.length)}</span></h4>
+            <pre class="inspector-scan-output">${SignatureRuntime.formatHeader(info)}
+${lines.length ? lines.map(l => '    ' + l).join('\n') : '    Unknown'}</pre>
+            ${failed.length ? html`<details class="inspector-scan-errors">
+                <summary>${I18n.n('{count} script failed', '{count} scripts failed', failed.length)}</summary>
+                <ul>${failed.map(o => html`<li><code>${o.name}</code> ${o.error}</li>`)}</ul>
+            </details>` : ''}
+        `);
+    }
+
+    async inspect(file) {
+        if (file.size > CONFIG.INSPECTOR_MAX_SIZE) {
+            this.renderMessage(I18n.t('{file} is larger than {size}.', { file: file.name, size: Utils.formatBytes(CONFIG.INSPECTOR_MAX_SIZE) }));
+            return;
+        }
+        this.renderMessage(I18n.t('Reading {file}…', { file: file.name }));
+        try {
+            const buffer = await file.arrayBuffer();
+            const result = BinaryParser.parse(buffer);
+            if (!result) {
+                this.renderMessage(I18n.t('{file}: not a PE, ELF or Mach-O file.', { file: file.name }));
+                return;
+            }
+            this.file = file;
+            this.buffer = buffer;
+            this.result = result;
+            this.render(file, result);
+            this.scan();
+        } catch (e) {
+            Utils.log('Inspector error:', e);
+            this.renderMessage(I18n.t('{file}: could not be parsed.', { file: file.name }));
+        }
+    }
+
+    renderMessage(text) {
+        Template.render(this.output, html`<div class="inspector-message">${text}</div>`);
+    }
+
+    render(file, result) {
+        const slices = result.universal ? result.slices : [result];
+        Template.render(this.output, html`
+            <div class="inspector-file">
+                <span class="inspector-file-name">${file.name}</span>
+                <span class="inspector-file-size">${Utils.formatBytes(file.size)}</span>
+                ${result.universal ? html`<span class="inspector-tag">${I18n.t('Universal ({count} slices)', { count: slices.length })}</span>` : ''}
+            </div>
+            ${this.runtime ? html`<div class="inspector-card inspector-scan" id="inspector-scan"></div>` : ''}
+            ${slices.map(r => this.renderSlice(r))}
+        `);
+    }
+
+    renderSlice(r) {
+        const pad = r.bits === 64 ? 16 : 8;
+        const summary = [
+            { label: I18n.t('Format'), value: `${r.format}${r.bits === 64 && r.format === 'PE' ? '64' : ''}` },
+            { label: I18n.t('Type'), value: r.type },
+            { label: I18n.t('Architecture'), value: r.arch },
+            { label: I18n.t('Bitness'), value: I18n.t(r.endian === 'LE' ? '{bits}-bit, little-endian' : '{bits}-bit, big-endian', { bits: String(r.bits) }) },
+            { label: I18n.t('Entry point'), value: r.entryPoint !== null ? '0x' + Utils.hex(r.entryPoint, pad) : '—' },
+            { label: r.format === 'ELF' ? 'OS/ABI' : I18n.t('Subsystem'), value: r.subsystem },
+            ...r.details
+        ];
+        return html`
+            <div class="inspector-card">
+                <dl class="inspector-summary">
+                    ${summary.map(s => html`<div><dt>${s.label}</dt><dd>${s.value}</dd></div>`)}
+                </dl>
+                ${r.sections.length ? html`
+                <h4 class="inspector-heading">${I18n.t('Sections')} <span>${r.sections.length}</span></h4>
+                <div class="inspector-table-wrap">
+                    <table class="inspector-table">
+                        <thead><tr>${['Name', 'Address', 'Virtual size', 'Offset', 'Raw size'].map(h => html`<th>${I18n.t(h)}</th>`)}</tr></thead>
+                        <tbody>${r.sections.map(s => html`<tr>
+                            <td>${s.name || '—'}</td>
+                            <td>0x${Utils.hex(s.address, pad)}</td>
+                            <td>0x${Utils.hex(s.virtualSize)}</td>
+                            <td>0x${Utils.hex(s.offset)}</td>
+                            <td>0x${Utils.hex(s.size)}</td>
+                        </tr>`)}</tbody>
+                    </table>
+                </div>` : ''}
+                <h4 class="inspector-heading">${I18n.t(r.format === 'PE' ? 'Imports' : 'Linked libraries')} <span>${r.libraries.length}</span></h4>
+                ${r.libraries.length ? html`<ul class="inspector-libs">${r.libraries.map(l => html`
+                    <li>
+                        <span class="inspector-lib-name">${l.name}</span>
+                        ${l.functions.length ? html`<span class="inspector-lib-count" title="${l.functions.slice(0, 40).join(', ')}">${I18n.n('{count} function', '{count} functions', l.functions.length)}</span>` : ''}
+                    </li>`)}
+                </ul>` : html`<p class="inspector-empty">${I18n.t('None')}</p>`}
+            </div>
+        `;
+    }
+}
+
+// === SYNTAX HIGHLIGHTER ===
+// Tokenizes JavaScript / DIE signature scripts into escaped HTML spans
+const Highlighter = {
+    KEYWORDS: new Set([
+        'var', 'let', 'const', 'function', 'return', 'if', 'else', 'for', 'while', 'do', 'break',
+        'continue', 'switch', 'case', 'default', 'new', 'typeof', 'instanceof', 'in', 'of', 'this',
+        'true', 'false', 'null', 'undefined', 'try', 'catch', 'finally', 'throw'
+    ]),
+
+    API: new Set([
+        'File', 'Binary', 'PE', 'ELF', 'MACH', 'init', 'meta', 'result', 'detect', 'includeScript',
+        '_setResult', '_isResultPresent', '_log', 'bDetected', 'sVersion', 'sOptions', 'sName', 'sType'
+    ]),
+
+    TOKENS: /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|("(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?|`(?:[^`\\]|\\.)*`?)|(\b0[xX][0-9a-fA-F]+\b|\b\d+(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g,
+
+    js(source) {
+        const esc = Utils.escapeHtml;
+        let out = '';
+        let last = 0;
+        this.TOKENS.lastIndex = 0;
+        let m;
+        while ((m = this.TOKENS.exec(source))) {
+            out += esc(source.slice(last, m.index));
+            last = this.TOKENS.lastIndex;
+            let cls = null;
+            if (m[1]) cls = 'hl-comment';
+            else if (m[2]) cls = 'hl-string';
+            else if (m[3]) cls = 'hl-number';
+            else if (this.KEYWORDS.has(m[4])) cls = 'hl-keyword';
+            else if (this.API.has(m[4])) cls = 'hl-api';
+            else if (/^\s*\(/.test(source.slice(last, last + 8))) cls = 'hl-function';
+            out += cls ? `<span class="${cls}">${esc(m[0])}</span>` : esc(m[0]);
+        }
+        return out + esc(source.slice(last));
+    }
+};
+
+// === MARKDOWN ===
+// GitHub-flavoured Markdown subset for release notes and the wiki. Everything
+// is built from escaped text; links and images keep only http(s) and
+// relative URLs.
+const Markdown = {
+    LIST_ITEM: /^(\s*)([-*+]|\d+[.)])\s+(.*)$/,
+
+    INLINE: /`([^`]+)`|!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)|\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)|\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|\*([^*\s](?:[^*]*[^*\s])?)\*|(?<![\w])_([^_\s](?:[^_]*[^_\s])?)_(?![\w])|(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"\]])/g,
+
+    render(source, options = {}) {
+        const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+        const out = [];
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            let m = /^\s*(```|~~~)\s*([\w+-]*)/.exec(line);
+            if (m) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(m[1])) code.push(lines[i++]);
+                i++;
+                out.push(this.code(code.join('\n'), m[2].toLowerCase()));
+                continue;
+            }
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+            m = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+            if (m) {
+                out.push(this.heading(m[1].length, m[2], options));
+                i++;
+                continue;
+            }
+            if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                out.push('<hr>');
+                i++;
+                continue;
+            }
+            if (/^\s*>/.test(line)) {
+                const quote = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) quote.push(lines[i++].replace(/^\s*>\s?/, ''));
+                out.push(`<blockquote>${this.render(quote.join('\n'), options)}</blockquote>`);
+                continue;
+            }
+            if (this.LIST_ITEM.test(line)) {
+                const block = [];
+                const ordered = /\d/.test(this.LIST_ITEM.exec(line)[2]);
+                // A top-level item of the other kind starts a new list
+                const sameList = (l) => {
+                    const item = this.LIST_ITEM.exec(l);
+                    return item && /\d/.test(item[2]) === ordered;
+                };
+                while (i < lines.length) {
+                    const l = lines[i];
+                    if (!l.trim()) {
+                        const next = lines[i + 1];
+                        if (next && (/^\s+\S/.test(next) || sameList(next))) {
+                            i++;
+                            continue;
+                        }
+                        break;
+                    }
+                    if (!/^\s/.test(l) && !sameList(l) && this.isBlockStart(l)) break;
+                    block.push(l);
+                    i++;
+                }
+                out.push(this.list(block, options));
+                continue;
+            }
+            if (line.includes('|') && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/.test(lines[i + 1] || '')) {
+                const rows = [line];
+                i += 2;
+                while (i < lines.length && lines[i].includes('|') && lines[i].trim()) rows.push(lines[i++]);
+                out.push(this.table(rows, options));
+                continue;
+            }
+            const para = [];
+            while (i < lines.length && lines[i].trim() && !(para.length && this.isBlockStart(lines[i]))) para.push(lines[i++]);
+            out.push(`<p>${para.map(l => this.inline(l.trim(), options)).join('<br>')}</p>`);
+        }
+        return out.join('\n');
+    },
+
+    isBlockStart(line) {
+        return /^\s*(```|~~~|#{1,6}\s|>)/.test(line) || this.LIST_ITEM.test(line);
+    },
+
+    // With options.headings (an array) each heading gets a GitHub-style id,
+    // prefixed with options.idPrefix, and a self link from options.anchorHref
+    heading(level, text, options) {
+        const n = Math.min(6, level + (options.headingOffset || 0));
+        if (!options.headings) return `<h${n}>${this.inline(text, options)}</h${n}>`;
+        const plain = this.plain(text);
+        const base = this.slug(plain);
+        const taken = new Set(options.headings.map(h => h.slug));
+        let slug = base;
+        for (let k = 1; taken.has(slug); k++) slug = `${base}-${k}`;
+        options.headings.push({ level: n, text: plain, slug });
+        const href = options.anchorHref ? options.anchorHref(slug) : `#${slug}`;
+        return `<h${n} id="${Utils.escapeHtml((options.idPrefix || '') + slug)}">${this.inline(text, options)}` +
+            `<a class="md-anchor" href="${Utils.escapeHtml(href)}" aria-hidden="true" tabindex="-1"></a></h${n}>`;
+    },
+
+    plain(text) {
+        return String(text).replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/[`*_~]/g, '').trim();
+    },
+
+    slug(text) {
+        return text.toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').trim().replace(/\s/g, '-');
+    },
+
+    code(source, lang) {
+        const highlighted = ['', 'js', 'javascript', 'sg', 'jscript'].includes(lang)
+            ? Highlighter.js(source)
+            : Utils.escapeHtml(source);
+        return `<pre class="code-block"><code>${highlighted}</code></pre>`;
+    },
+
+    list(block, options) {
+        const indentOf = (l) => l.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+        const base = indentOf(block[0]);
+        const ordered = /\d/.test(this.LIST_ITEM.exec(block[0])[2]);
+        const items = [];
+        for (const l of block) {
+            const m = this.LIST_ITEM.exec(l);
+            if (m && indentOf(l) <= base) {
+                items.push({ text: [m[3]], children: [] });
+            } else if (items.length) {
+                const item = items[items.length - 1];
+                if (m || item.children.length) item.children.push(l);
+                else item.text.push(l.trim());
+            }
+        }
+        const tag = ordered ? 'ol' : 'ul';
+        return `<${tag}>${items.map(item => {
+            const text = item.text.join(' ').replace(/^\[([ xX])\]\s+/, (x, c) => c === ' ' ? '☐ ' : '☑ ');
+            return `<li>${this.inline(text, options)}${item.children.length ? this.list(item.children, options) : ''}</li>`;
+        }).join('')}</${tag}>`;
+    },
+
+    table(rows, options) {
+        const cells = (row) => row.trim().replace(/^\||\|$/g, '').split('|').map(c => c.trim());
+        const [head, ...body] = rows;
+        return `<div class="md-table"><table><thead><tr>${cells(head).map(c => `<th>${this.inline(c, options)}</th>`).join('')}</tr></thead>` +
+            `<tbody>${body.map(r => `<tr>${cells(r).map(c => `<td>${this.inline(c, options)}</td>`).join('')}</tr>`).join('')}</tbody></table></div>`;
+    },
+
+    // Browsers drop control characters and spaces from a URL before reading
+    // its scheme, so '\x01javascript:' must be tested without them
+    url(href, options) {
+        const value = String(href).replace(/[\u0000-\u0020]/g, '');
+        if (/^[a-z][\w+.-]*:/i.test(value) && !/^https?:/i.test(value)) return null;
+        return options.resolveLink ? options.resolveLink(value) : value;
+    },
+
+    inline(text, options = {}) {
+        const esc = Utils.escapeHtml;
+        let out = '';
+        let last = 0;
+        const re = new RegExp(this.INLINE.source, 'g');
+        let m;
+        while ((m = re.exec(text))) {
+            out += esc(text.slice(last, m.index));
+            last = re.lastIndex;
+            if (m[1] !== undefined) {
+                out += `<code>${esc(m[1])}</code>`;
+            } else if (m[3] !== undefined) {
+                const src = this.url(m[3], options);
+                out += src ? `<img src="${esc(src)}" alt="${esc(m[2])}" loading="lazy">` : esc(m[2]);
+            } else if (m[5] !== undefined) {
+                const href = this.url(m[5], options);
+                out += href ? this.link(href, this.inline(m[4], options)) : this.inline(m[4], options);
+            } else if (m[6] !== undefined || m[7] !== undefined) {
+                out += `<strong>${this.inline(m[6] || m[7], options)}</strong>`;
+            } else if (m[8] !== undefined) {
+                out += `<del>${this.inline(m[8], options)}</del>`;
+            } else if (m[9] !== undefined || m[10] !== undefined) {
+                out += `<em>${this.inline(m[9] || m[10], options)}</em>`;
+            } else if (m[11] !== undefined) {
+                out += this.link(m[11], esc(m[11]));
+            }
+        }
+        return out + esc(text.slice(last));
+    },
+
+    link(href, html) {
+        const external = /^https?:/i.test(href);
+        return `<a href="${Utils.escapeHtml(href)}"${external ? ' target="_blank" rel="noopener"' : ''}>${html}</a>`;
+    }
+};
+
+// === SIGNATURE DATABASE ===
+// Index of the db/ signature tree. Type and name come from each script's
+// init()/meta() call and are cached per blob SHA, so only changed files are
+// downloaded again. Raw file downloads don't count against the API quota.
+class SignatureDatabase {
+    constructor() {
+        this.entries = null;
+        this.sources = new Map();
+    }
+
+    static parseHeader(source) {
+        const m = /\b(?:init|meta)\s*\(\s*["']([^"']*)["']\s*,\s*["']([^"']*)["']/.exec(source || '');
+        return m ? { type: m[1].toLowerCase(), name: m[2] } : { type: 'unknown', name: '' };
+    }
+
+    static isSignature(path) {
+        return path.startsWith('db/') && /\.sg$/i.test(path);
+    }
+
+    static rawUrl(path, ref = CONFIG.GITHUB_BRANCH) {
+        return `${CONFIG.GITHUB_RAW}/${CONFIG.GITHUB_REPO}/${ref}/${path.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    static blobUrl(path, ref = CONFIG.GITHUB_BRANCH) {
+        return `https://github.com/${CONFIG.GITHUB_REPO}/blob/${ref}/${path.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    // Headers are keyed by blob SHA, so they never go stale
+    static knownHeaders() {
+        return CacheManager.get('sig_meta', Infinity) || {};
+    }
+
+    // The feed writes this map too, possibly while an index build is running,
+    // so new headers are merged into what is stored now rather than replacing it.
+    // keep, when given, drops SHAs that are no longer in the tree.
+    static saveHeaders(headers, keep = null) {
+        const merged = Object.assign(SignatureDatabase.knownHeaders(), headers);
+        if (keep) Object.keys(merged).forEach(sha => { if (!keep.has(sha)) delete merged[sha]; });
+        CacheManager.set('sig_meta', merged);
+    }
+
+    loadTree() {
+        return HttpClient.json('sig_tree', `${CONFIG.GITHUB_API}/repos/${CONFIG.GITHUB_REPO}/git/trees/${CONFIG.GITHUB_BRANCH}?recursive=1`, {
+            transform: data => data.tree
+                .filter(t => t.type === 'blob' && SignatureDatabase.isSignature(t.path))
+                .map(t => ({ path: t.path, sha: t.sha }))
+        });
+    }
+
+    async loadSource(entry) {
+        if (this.sources.has(entry.sha)) return this.sources.get(entry.sha);
+        const resp = await HttpClient.fetch(SignatureDatabase.rawUrl(entry.path));
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const source = await resp.text();
+        this.sources.set(entry.sha, source);
+        return source;
+    }
+
+    async build(onProgress) {
+        const tree = await this.loadTree();
+        const known = SignatureDatabase.knownHeaders();
+        const meta = {};
+        tree.forEach(t => { if (known[t.sha]) meta[t.sha] = known[t.sha]; });
+
+        const missing = tree.filter(t => !meta[t.sha]);
+        let done = 0;
+        await Utils.pool(missing, 8, async (t) => {
+            try {
+                const header = SignatureDatabase.parseHeader(await this.loadSource(t));
+                meta[t.sha] = [header.type, header.name];
+            } catch (e) {
+                Utils.log('Signature fetch error:', t.path, e);
+            }
+            if (onProgress) onProgress(++done, missing.length);
+        });
+        if (missing.length) SignatureDatabase.saveHeaders(meta, new Set(tree.map(t => t.sha)));
+
+        this.entries = tree.map(t => {
+            const parts = t.path.split('/');
+            const [type, name] = meta[t.sha] || ['unknown', ''];
+            const file = parts[parts.length - 1];
+            return {
+                path: t.path,
+                sha: t.sha,
+                format: parts.length > 2 ? parts[1] : 'Generic',
+                file,
+                type,
+                name: name || file.replace(/\.sg$/i, '')
+            };
+        });
+        return this.entries;
+    }
+
+    async loadAllSources(onProgress) {
+        const missing = this.entries.filter(e => !this.sources.has(e.sha));
+        let done = 0;
+        await Utils.pool(missing, 8, async (e) => {
+            try {
+                await this.loadSource(e);
+            } catch (err) {
+                Utils.log('Signature fetch error:', e.path, err);
+            }
+            if (onProgress) onProgress(++done, missing.length);
+        });
+    }
+
+    search({ query = '', format = '', type = '', fullText = false }) {
+        const q = query.trim().toLowerCase();
+        return this.entries.filter(e => {
+            if (format && e.format !== format) return false;
+            if (type && e.type !== type) return false;
+            if (!q) return true;
+            if (e.name.toLowerCase().includes(q) || e.path.toLowerCase().includes(q)) return true;
+            return fullText && (this.sources.get(e.sha) || '').toLowerCase().includes(q);
+        }).sort((a, b) => a.name.localeCompare(b.name));
+    }
+}
+
+// === NEW DETECTIONS ===
+// What changed in db/ over the last week: every signature file touched by a
+// commit in that window is classified by its net change, and new or updated
+// scripts are described by the type and name in their init()/meta() header.
+class DetectionsFeed {
+    constructor(root, api) {
+        this.root = root;
+        this.api = api;
+        this.digest = root.querySelector('#detections-digest');
+        this.list = root.querySelector('#detections-list');
+        this.started = false;
+
+        // One request per commit in the window, so wait until the section is near
+        Utils.whenNear(this.root, () => this.start());
+    }
+
+    // Start of the UTC day, so the commits query (and its cache key) only changes daily
+    static since(days, now = Date.now()) {
+        const d = new Date(now - days * 24 * 60 * 60 * 1000);
+        return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())).toISOString();
+    }
+
+    // Net change per file across commits: a file added and then edited is
+    // still new, one added and removed again is left out. A rename removes
+    // the old path and adds the new one.
+    static classify(commits) {
+        const files = new Map();
+        const apply = (path, status, sha, commit) => {
+            if (!SignatureDatabase.isSignature(path)) return;
+            const previous = files.get(path);
+            let change = status;
+            if (previous && previous.change === 'added') change = status === 'removed' ? null : 'added';
+            else if (previous && previous.change === 'removed' && status === 'added') change = 'modified';
+            if (change) files.set(path, { path, change, sha, commit: commit.sha, date: commit.date });
+            else files.delete(path);
+        };
+        [...commits].sort((a, b) => new Date(a.date) - new Date(b.date)).forEach(commit => {
+            commit.files.forEach(f => {
+                if (f.status === 'renamed' && f.previous) {
+                    apply(f.previous, 'removed', f.sha, commit);
+                    apply(f.name, 'added', f.sha, commit);
+                    return;
+                }
+                apply(f.name, f.status === 'added' || f.status === 'removed' ? f.status : 'modified', f.sha, commit);
+            });
+        });
+        return [...files.values()];
+    }
+
+    // "5 packers"; types without an entry of their own are named as they are
+    static typeCount(type, count) {
+        if (Object.prototype.hasOwnProperty.call(DetectionsFeed.TYPE_COUNTS, type)) return DetectionsFeed.TYPE_COUNTS[type](count);
+        return I18n.n('{count} signature of type {type}', '{count} signatures of type {type}', count, { type });
+    }
+
+    async start() {
+        if (this.started) return;
+        this.started = true;
+        try {
+            const commits = await this.api.main.commits({ path: 'db', since: DetectionsFeed.since(DetectionsFeed.DAYS), per_page: 100 });
+            const details = [];
+            await Utils.pool(commits, 4, async (c) => {
+                details.push(await this.api.loadCommit(c.sha));
+            });
+            this.changes = await this.describe(DetectionsFeed.classify(details));
+        } catch (e) {
+            Utils.log('Detections fetch error:', e);
+            this.digest.textContent = I18n.t('Recent signature changes could not be loaded.');
+            this.started = false;
+            return;
+        }
+        this.render();
+    }
+
+    // Headers are cached per blob SHA next to the signature browser's index
+    async describe(changes) {
+        const known = SignatureDatabase.knownHeaders();
+        const found = {};
+        const headers = new Map();
+        const missing = changes.filter(c => c.change !== 'removed' && !(c.sha && known[c.sha]));
+        await Utils.pool(missing, 8, async (c) => {
+            try {
+                const resp = await HttpClient.fetch(SignatureDatabase.rawUrl(c.path, c.commit));
+                if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+                const header = SignatureDatabase.parseHeader(await resp.text());
+                headers.set(c.path, [header.type, header.name]);
+                if (c.sha) found[c.sha] = [header.type, header.name];
+            } catch (e) {
+                Utils.log('Signature fetch error:', c.path, e);
+            }
+        });
+        if (Object.keys(found).length) SignatureDatabase.saveHeaders(found);
+
+        return changes.map(c => {
+            const parts = c.path.split('/');
+            const file = parts[parts.length - 1];
+            const [type, name] = headers.get(c.path) || (c.sha && known[c.sha]) || ['unknown', ''];
+            return { ...c, type, name: name || file.replace(/\.sg$/i, ''), format: parts.length > 2 ? parts[1] : 'Generic' };
+        }).sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+    }
+
+    render() {
+        const added = this.changes.filter(c => c.change === 'added');
+        const modified = this.changes.filter(c => c.change === 'modified');
+        const removed = this.changes.filter(c => c.change === 'removed');
+        const byType = {};
+        added.forEach(c => { byType[c.type] = (byType[c.type] || 0) + 1; });
+        const types = Object.entries(byType).sort((a, b) => b[1] - a[1])
+            .map(([type, count]) => DetectionsFeed.typeCount(type, count));
+
+        this.digest.textContent = [
+            added.length
+                ? I18n.n('{count} new signature this week: {types}.', '{count} new signatures this week: {types}.', added.length, {
+                    types: new Intl.ListFormat(I18n.locale).format(types)
+                })
+                : I18n.t('No new signatures this week.'),
+            modified.length ? I18n.n('{count} signature updated.', '{count} signatures updated.', modified.length) : '',
+            removed.length ? I18n.n('{count} signature removed.', '{count} signatures removed.', removed.length) : ''
+        ].filter(Boolean).join(' ');
+
+        Template.render(this.list, html`
+            ${added.length ? this.renderGroup('New', added, true) : ''}
+            ${modified.length ? this.renderGroup('Updated', modified, !added.length) : ''}
+            ${removed.length ? this.renderGroup('Removed', removed, false) : ''}
+        `);
+    }
+
+    renderGroup(title, changes, open) {
+        return html`
+            <details class="detections-group" data-key="${title}" ${open ? html`open` : ''}>
+                <summary>${I18n.t(title)} <span>${changes.length}</span></summary>
+                <ul>${changes.map(c => html`
+                    <li data-key="${c.path}">
+                        <span class="sigdb-badge">${c.type}</span>
+                        <a href="${c.change === 'removed' ? `https://github.com/${CONFIG.GITHUB_REPO}/commit/${c.commit}` : SignatureDatabase.blobUrl(c.path, c.commit)}"
+                            target="_blank" rel="noopener">${c.name}</a>
+                        <span class="detections-format">${c.format}</span>
+                    </li>
+                `)}</ul>
+            </details>
+        `;
+    }
+}
+
+DetectionsFeed.DAYS = 7;
+// Counted phrase per header type, each its own catalog entry
+DetectionsFeed.TYPE_COUNTS = {
+    packer: n => I18n.n('{count} packer', '{count} packers', n),
+    protector: n => I18n.n('{count} protector', '{count} protectors', n),
+    cryptor: n => I18n.n('{count} cryptor', '{count} cryptors', n),
+    compiler: n => I18n.n('{count} compiler', '{count} compilers', n),
+    linker: n => I18n.n('{count} linker', '{count} linkers', n),
+    library: n => I18n.n('{count} library', '{count} libraries', n),
+    installer: n => I18n.n('{count} installer', '{count} installers', n),
+    sfx: n => I18n.n('{count} SFX archive', '{count} SFX archives', n),
+    archive: n => I18n.n('{count} archive', '{count} archives', n),
+    format: n => I18n.n('{count} format', '{count} formats', n),
+    joiner: n => I18n.n('{count} joiner', '{count} joiners', n),
+    tool: n => I18n.n('{count} tool', '{count} tools', n),
+    unknown: n => I18n.n('{count} other signature', '{count} other signatures', n)
+};
+
+// === SIGNATURE BROWSER ===
+class SignatureBrowser {
+    constructor() {
+        this.root = document.getElementById('sigdb');
+        if (!this.root) return;
+        this.db = new SignatureDatabase();
+        this.search = this.root.querySelector('#sigdb-search');
+        this.format = this.root.querySelector('#sigdb-format');
+        this.type = this.root.querySelector('#sigdb-type');
+        this.fullText = this.root.querySelector('#sigdb-fulltext');
+        this.status = this.root.querySelector('#sigdb-status');
+        this.list = this.root.querySelector('#sigdb-list');
+        this.viewer = this.root.querySelector('#sigdb-viewer');
+        this.limit = SignatureBrowser.PAGE_SIZE;
+        this.started = false;
+
+        // Indexing costs a few hundred downloads on a cold cache, so wait until the section is near
+        Utils.whenNear(this.root, () => this.start());
+    }
+
+    async start() {
+        if (this.started) return;
+        this.started = true;
+        this.setStatus(I18n.t('Loading signature tree…'));
+        try {
+            await this.db.build((done, total) => this.setStatus(I18n.t('Indexing signatures… {done} / {total}', { done, total })));
+        } catch (e) {
+            Utils.log('Signature database error:', e);
+            this.setStatus(I18n.t('The signature database could not be loaded.'));
+            this.started = false;
+            return;
+        }
+        CommandPalette.register('signatures', {
+            label: 'Signatures',
+            items: () => this.db.entries.map(e => ({
+                title: e.name,
+                subtitle: `${e.type} · ${e.format}`,
+                keywords: e.path,
+                preview: async () => html`
+                    <div class="palette-preview-title">${e.name}</div>
+                    <code class="palette-preview-meta">${e.path}</code>
+                    <pre class="code-block"><code>${Template.raw(Highlighter.js(await this.db.loadSource(e)))}</code></pre>
+                `,
+                run: () => {
+                    SmoothScroll.to(this.root);
+                    this.open(e.path);
+                }
+            }))
+        });
+        this.fillSelect(this.format, this.db.entries.map(e => e.format), I18n.t('All formats'));
+        this.fillSelect(this.type, this.db.entries.map(e => e.type), I18n.t('All types'));
+        this.bind();
+        this.update();
+    }
+
+    fillSelect(select, values, label) {
+        const counts = {};
+        values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+        Template.render(select, html`<option value="">${label}</option>${Object.keys(counts).sort().map(v =>
+            html`<option value="${v}">${v} (${counts[v]})</option>`
+        )}`);
+    }
+
+    bind() {
+        const refresh = () => {
+            this.limit = SignatureBrowser.PAGE_SIZE;
+            this.update();
+        };
+        this.search.addEventListener('input', Utils.debounce(refresh, 150));
+        this.format.addEventListener('change', refresh);
+        this.type.addEventListener('change', refresh);
+        this.fullText.addEventListener('change', async () => {
+            if (this.fullText.checked) {
+                this.fullText.disabled = true;
+                await this.db.loadAllSources((done, total) => this.setStatus(I18n.t('Downloading scripts… {done} / {total}', { done, total })));
+                this.fullText.disabled = false;
+            }
+            refresh();
+        });
+        this.list.addEventListener('click', (e) => {
+            const more = e.target.closest('.sigdb-more');
+            if (more) {
+                const first = this.limit;
+                this.limit += SignatureBrowser.PAGE_SIZE;
+                this.update();
+                // The button is gone; continue from the first new entry
+                const next = this.list.querySelectorAll('.sigdb-item')[first];
+                if (next) next.focus();
+                return;
+            }
+            const item = e.target.closest('[data-path]');
+            if (item) this.open(item.dataset.path);
+        });
+    }
+
+    setStatus(text) {
+        if (this.status) this.status.textContent = text;
+    }
+
+    update() {
+        const results = this.db.search({
+            query: this.search.value,
+            format: this.format.value,
+            type: this.type.value,
+            fullText: this.fullText.checked
+        });
+        this.setStatus(I18n.n('{shown} of {count} signature', '{shown} of {count} signatures', this.db.entries.length, { shown: results.length }));
+        Template.render(this.list, html`${results.slice(0, this.limit).map(e => html`
+            <li data-key="${e.path}">
+                <button type="button" class="sigdb-item${e.path === this.current ? ' active' : ''}" data-path="${e.path}">
+                    <span class="sigdb-item-name">${e.name}</span>
+                    <span class="sigdb-item-meta">
+                        <span class="sigdb-badge">${e.type}</span>
+                        <span>${e.format}</span>
+                    </span>
+                </button>
+            </li>
+        `)}${results.length > this.limit
+            ? html`<li><button type="button" class="sigdb-more">${I18n.t('Show more ({count} left)', { count: results.length - this.limit })}</button></li>`
+            : ''}`);
+    }
+
+    async open(path) {
+        const entry = this.db.entries.find(e => e.path === path);
+        if (!entry) return;
+        this.current = path;
+        this.list.querySelectorAll('.sigdb-item').forEach(el => el.classList.toggle('active', el.dataset.path === path));
+        Template.render(this.viewer, html`<div class="commits-loading">${I18n.t('Loading {file}…', { file: entry.file })}</div>`);
+        try {
+            const source = await this.db.loadSource(entry);
+            if (this.current !== path) return;
+            Template.render(this.viewer, html`
+                <div class="sigdb-viewer-header">
+                    <div>
+                        <div class="sigdb-viewer-name">${entry.name}</div>
+                        <code class="sigdb-viewer-path">${entry.path}</code>
+                    </div>
+                    <a href="${SignatureDatabase.blobUrl(entry.path)}" target="_blank" rel="noopener" class="sigdb-viewer-link">${I18n.t('View on GitHub')}</a>
+                </div>
+                <pre class="code-block"><code>${Template.raw(Highlighter.js(source))}</code></pre>
+            `);
+        } catch (e) {
+            Utils.log('Signature source error:', e);
+            Template.render(this.viewer, html`<div class="commits-loading">${I18n.t('This script could not be loaded.')}</div>`);
+        }
+    }
+}
+
+SignatureBrowser.PAGE_SIZE = 100;
+
+// === SIGNATURE EDITOR ===
+// editor.html: a textarea over a highlighted copy of its text, with
+// completion for the scripting API and a structure check that runs as you
+// type. Drafts are user data: they live in localStorage under
+// CONFIG.SETTINGS_PREFIX, out of reach of the cache's eviction and clearing.
+class SignatureEditor {
+    constructor(root) {
+        this.root = root;
+        this.input = root.querySelector('#sg-source');
+        this.highlight = root.querySelector('#sg-highlight');
+        this.popup = root.querySelector('#sg-complete');
+        this.problems = root.querySelector('#sg-problems');
+        this.status = root.querySelector('#sg-status');
+        this.draftSelect = root.querySelector('#sg-draft');
+        this.format = root.querySelector('#sg-format');
+        this.importInput = root.querySelector('#sg-import');
+        this.reference = root.querySelector('#sg-reference');
+        this.completions = [];
+        this.active = 0;
+
+        this.drafts = this.loadDrafts();
+        if (!this.drafts.items.length) this.drafts.items.push(SignatureEditor.draft('PE'));
+        if (!this.drafts.items.some(d => d.id === this.drafts.current)) this.drafts.current = this.drafts.items[0].id;
+
+        this.bind();
+        this.renderReference();
+        this.open(this.drafts.current);
+    }
+
+    // --- Drafts ---
+    static draft(format, source = SignatureEditor.skeleton(format)) {
+        return { id: `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, format, source, updated: Date.now() };
+    }
+
+    static skeleton(format) {
+        const test = format === 'Binary' ? 'File.compare("4D5A")' : `${format}.compareEP("60BE")`;
+        return `// Detect It Easy: detection rule file format
+
+init("packer", "Name");
+
+function detect(bShowType, bShowVersion, bShowOptions) {
+    if (${test}) {
+        bDetected = 1;
+    }
+
+    return result(bShowType, bShowVersion, bShowOptions);
+}
+`;
+    }
+
+    // type_Name.sg, the naming used in the db/ folder
+    static fileName(source) {
+        const { type, name } = SignatureDatabase.parseHeader(source);
+        const base = [type !== 'unknown' ? type : '', name].filter(Boolean).join('_').replace(/[^\w.+-]+/g, '_');
+        return `${base || 'signature'}.sg`;
+    }
+
+    // The format object a script uses most, for imported files
+    static guessFormat(source) {
+        const counts = { PE: 0, ELF: 0, MACH: 0 };
+        (SignatureEditor.strip(source).match(/\b(PE|ELF|MACH)\s*\./g) || []).forEach(m => { counts[m.replace(/\W/g, '')]++; });
+        const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        return count ? best : 'Binary';
+    }
+
+    loadDrafts() {
+        try {
+            const saved = JSON.parse(Utils.readSetting(SignatureEditor.STORAGE_KEY, 'die_sg_drafts'));
+            if (saved && Array.isArray(saved.items)) return saved;
+        } catch {
+            // Storage disabled or unreadable: start empty
+        }
+        return { current: null, items: [] };
+    }
+
+    saveDrafts() {
+        try {
+            localStorage.setItem(SignatureEditor.STORAGE_KEY, JSON.stringify(this.drafts));
+            this.setStatus(I18n.t('Saved in this browser at {time}.', { time: new Date().toLocaleTimeString(I18n.locale) }));
+        } catch (e) {
+            Utils.log('Draft save error:', e);
+            this.setStatus(I18n.t('The draft could not be saved in this browser. Export it to keep it.'));
+        }
+    }
+
+    get current() {
+        return this.drafts.items.find(d => d.id === this.drafts.current);
+    }
+
+    open(id) {
+        this.drafts.current = id;
+        const draft = this.current;
+        this.input.value = draft.source;
+        this.format.value = draft.format;
+        this.renderDrafts();
+        this.refresh();
+    }
+
+    renderDrafts() {
+        const items = [...this.drafts.items].sort((a, b) => b.updated - a.updated);
+        Template.render(this.draftSelect, items.map(d => html`
+            <option value="${d.id}">${SignatureEditor.fileName(d.source)} · ${Utils.timeAgo(d.updated)}</option>
+        `));
+        this.draftSelect.value = this.drafts.current;
+    }
+
+    // --- Editing ---
+    bind() {
+        const save = Utils.debounce(() => {
+            this.saveDrafts();
+            this.renderDrafts();
+        }, 500);
+        const check = Utils.debounce(() => this.check(), 300);
+        this.input.addEventListener('input', () => {
+            const draft = this.current;
+            draft.source = this.input.value;
+            draft.updated = Date.now();
+            this.paint();
+            this.complete(false);
+            check();
+            save();
+        });
+        this.input.addEventListener('scroll', () => {
+            this.highlight.parentElement.scrollTop = this.input.scrollTop;
+            this.highlight.parentElement.scrollLeft = this.input.scrollLeft;
+            this.closeCompletions();
+        });
+        this.input.addEventListener('keydown', (e) => this.onKey(e));
+        this.input.addEventListener('blur', () => this.closeCompletions());
+        this.input.addEventListener('click', () => this.closeCompletions());
+        // Keep focus in the textarea while picking with the mouse
+        this.popup.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const option = e.target.closest('[data-index]');
+            if (option) this.accept(Number(option.dataset.index));
+        });
+
+        this.format.addEventListener('change', () => {
+            this.current.format = this.format.value;
+            this.saveDrafts();
+            this.check();
+        });
+        this.draftSelect.addEventListener('change', () => this.open(this.draftSelect.value));
+        this.root.querySelector('#sg-new').addEventListener('click', () => {
+            const draft = SignatureEditor.draft(this.format.value);
+            this.drafts.items.push(draft);
+            this.saveDrafts();
+            this.open(draft.id);
+            this.input.focus();
+        });
+        this.root.querySelector('#sg-delete').addEventListener('click', () => {
+            if (!window.confirm(I18n.t('Delete {file} from this browser?', { file: SignatureEditor.fileName(this.current.source) }))) return;
+            this.drafts.items = this.drafts.items.filter(d => d.id !== this.drafts.current);
+            if (!this.drafts.items.length) this.drafts.items.push(SignatureEditor.draft(this.format.value));
+            this.saveDrafts();
+            this.open([...this.drafts.items].sort((a, b) => b.updated - a.updated)[0].id);
+        });
+        this.root.querySelector('#sg-export').addEventListener('click', () => this.export());
+        this.importInput.addEventListener('change', async () => {
+            const file = this.importInput.files[0];
+            this.importInput.value = '';
+            if (!file) return;
+            const source = await file.text();
+            const draft = SignatureEditor.draft(SignatureEditor.guessFormat(source), source);
+            this.drafts.items.push(draft);
+            this.saveDrafts();
+            this.open(draft.id);
+        });
+        this.problems.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-line]');
+            if (link) this.goToLine(Number(link.dataset.line));
+        });
+    }
+
+    refresh() {
+        this.paint();
+        this.check();
+        this.closeCompletions();
+    }
+
+    // A trailing newline keeps the last line's height when it is empty
+    paint() {
+        Template.render(this.highlight, Template.raw(`${Highlighter.js(this.input.value)}\n`));
+    }
+
+    export() {
+        const source = this.input.value;
+        const url = URL.createObjectURL(new Blob([source], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = SignatureEditor.fileName(source);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    goToLine(line) {
+        const lines = this.input.value.split('\n');
+        const offset = lines.slice(0, line - 1).reduce((sum, l) => sum + l.length + 1, 0);
+        this.input.focus();
+        this.input.setSelectionRange(offset, offset + (lines[line - 1] || '').length);
+        const lineHeight = parseFloat(getComputedStyle(this.input).lineHeight) || 20;
+        this.input.scrollTop = Math.max(0, (line - 3) * lineHeight);
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+
+    // --- Checks ---
+    check() {
+        const problems = SignatureEditor.check(this.input.value, this.format.value);
+        Template.render(this.problems, problems.length ? problems.map(p => html`
+            <li class="sg-problem sg-problem-${p.severity}">
+                ${p.line ? html`<button type="button" class="sg-problem-line" data-line="${p.line}">${I18n.t('Line {line}', { line: p.line })}</button>` : ''}
+                <span>${p.message}</span>
+            </li>
+        `) : html`<li class="sg-problem sg-problem-ok">${I18n.t('No problems found.')}</li>`);
+    }
+
+    // Comments and strings blanked out (newlines kept), so positions still
+    // line up with the source and nothing inside them is taken for code
+    static strip(source) {
+        return source.replace(new RegExp(Highlighter.TOKENS.source, 'g'), (m, comment, string) =>
+            comment !== undefined || string !== undefined ? m.replace(/[^\n]/g, ' ') : m);
+    }
+
+    static check(source, format) {
+        const code = SignatureEditor.strip(source);
+        const lineOf = index => source.slice(0, index).split('\n').length;
+        const problems = [];
+        const add = (severity, line, message) => {
+            if (!problems.some(p => p.line === line && p.message === message)) problems.push({ severity, line, message });
+        };
+
+        try {
+            // Compiles without running anything
+            new Function(source);
+            try {
+                new Function(`'use strict';\n${source}`);
+            } catch (e) {
+                // DIE itself accepts it, the in-browser runner doesn't
+                add('warning', null, I18n.t('The in-browser runner uses strict mode: {message}', { message: e.message }));
+            }
+        } catch (e) {
+            add('error', null, I18n.t('Syntax error: {message}', { message: e.message }));
+        }
+
+        const header = /\b(?:init|meta)\s*\(/.exec(code);
+        if (!header) {
+            add('error', null, I18n.t('There is no init("type", "name") call, so a detection would have no name.'));
+        } else if (!SignatureDatabase.parseHeader(source).name) {
+            add('warning', lineOf(header.index), I18n.t('init() takes the type and the name as string literals, e.g. init("packer", "UPX").'));
+        }
+
+        const detect = /\bfunction\s+detect\s*\(([^)]*)\)\s*\{/.exec(code);
+        if (!detect) {
+            add('warning', null, I18n.t('There is no detect() function, so this script only works when included by another one.'));
+        } else {
+            const line = lineOf(detect.index);
+            const body = SignatureEditor.block(code, detect.index + detect[0].length - 1);
+            if (!/\breturn\b/.test(body)) {
+                add('error', line, I18n.t('detect() returns nothing. End it with return result(bShowType, bShowVersion, bShowOptions);'));
+            } else if (!/\breturn\s+result\s*\(/.test(body)) {
+                add('warning', line, I18n.t('detect() usually ends with return result(bShowType, bShowVersion, bShowOptions);'));
+            }
+            if (detect[1].split(',').filter(p => p.trim()).length !== 3) {
+                add('warning', line, I18n.t('detect() receives three arguments: bShowType, bShowVersion and bShowOptions.'));
+            }
+            if (!/\bbDetected\s*=(?!=)/.test(code) && !/\b_setResult\s*\(/.test(code)) {
+                add('warning', line, I18n.t('bDetected is never set, so result() never reports a detection.'));
+            }
+        }
+
+        // The tables only cover what the in-browser runner implements, so an
+        // unknown member is most likely real DIE API and only gets a note;
+        // a known name in the wrong case is a mistake
+        const calls = /\b(File|Binary|PE|ELF|MACH)\s*\.\s*([A-Za-z_$][\w$]*)/g;
+        let m;
+        while ((m = calls.exec(code))) {
+            const [, object, member] = m;
+            const line = lineOf(m.index);
+            const members = SignatureEditor.members(object);
+            if (!(member in members)) {
+                const suggestion = Object.keys(members).find(name => name.toLowerCase() === member.toLowerCase());
+                if (suggestion) {
+                    add('error', line, I18n.t('{object} has no {member}(). Did you mean {suggestion}()?', { object, member, suggestion }));
+                } else {
+                    add('note', line, I18n.t('{object}.{member} is not available in the in-browser runner, so it is not checked here and cannot be tested in this browser.', { object, member }));
+                }
+            } else if (object in SignatureEditor.OWN && format !== 'Binary' && object !== format) {
+                add('error', line, I18n.t('{object}.{member}() only answers for {object} files, so in scripts for {format} files it always returns false or 0.', { object, member, format }));
+            }
+        }
+
+        return problems.sort((a, b) => (a.line || 0) - (b.line || 0));
+    }
+
+    // Text of the block opened at `start` ('{'), up to its closing brace
+    static block(code, start) {
+        let depth = 0;
+        for (let i = start; i < code.length; i++) {
+            if (code[i] === '{') depth++;
+            else if (code[i] === '}' && --depth === 0) return code.slice(start + 1, i);
+        }
+        return code.slice(start + 1);
+    }
+
+    // Every member of a scripting object, name -> parameter list
+    static members(object) {
+        if (object === 'File' || object === 'Binary') return SignatureEditor.BINARY;
+        return { ...SignatureEditor.BINARY, ...SignatureEditor.FORMAT, ...SignatureEditor.OWN[object] };
+    }
+
+    // --- Completion ---
+    // What is being typed at the caret: a member after "PE." and friends, or a global
+    context() {
+        const caret = this.input.selectionStart;
+        if (caret !== this.input.selectionEnd) return null;
+        const before = this.input.value.slice(0, caret);
+        const stripped = SignatureEditor.strip(before);
+        if (stripped.length && stripped[stripped.length - 1] === ' ' && before[before.length - 1] !== ' ') return null;
+        const m = /(?:\b(File|Binary|PE|ELF|MACH)\s*\.\s*)?([A-Za-z_$][\w$]*)?$/.exec(stripped);
+        const object = m[1] || null;
+        const prefix = m[2] || '';
+        if (!object && /\.\s*$/.test(stripped.slice(0, stripped.length - prefix.length))) return null;
+        return { object, prefix, start: caret - prefix.length, end: caret };
+    }
+
+    complete(force) {
+        const context = this.context();
+        if (!context || (!force && !context.object && !context.prefix)) return this.closeCompletions();
+        const source = context.object ? SignatureEditor.members(context.object) : SignatureEditor.GLOBALS;
+        const prefix = context.prefix.toLowerCase();
+        const names = Object.keys(source)
+            .filter(name => name.toLowerCase().includes(prefix) && name !== context.prefix)
+            .sort((a, b) => Number(!b.toLowerCase().startsWith(prefix)) - Number(!a.toLowerCase().startsWith(prefix)) || a.localeCompare(b));
+        if (!names.length) return this.closeCompletions();
+
+        this.completing = context;
+        this.completions = names.slice(0, SignatureEditor.MAX_COMPLETIONS).map(name => ({
+            name,
+            params: source[name],
+            only: context.object && SignatureEditor.OWN[context.object] && name in SignatureEditor.OWN[context.object] ? context.object : null
+        }));
+        this.active = 0;
+        Template.render(this.popup, this.completions.map((c, i) => html`
+            <li role="option" id="sg-complete-${i}" data-index="${i}" aria-selected="${i === 0 ? 'true' : 'false'}">
+                <span class="sg-complete-name">${c.name}</span><span class="sg-complete-params">${c.params || ''}</span>
+                ${c.only ? html`<span class="sigdb-badge">${I18n.t('{format} only', { format: c.only })}</span>` : ''}
+            </li>
+        `));
+        this.place(context.start);
+        this.popup.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+        this.select(0);
+    }
+
+    // The font is monospaced and lines don't wrap, so the caret's position is
+    // its line and column times the cell size
+    place(offset) {
+        const style = getComputedStyle(this.input);
+        if (!this.cell) {
+            const canvas = document.createElement('canvas').getContext('2d');
+            canvas.font = `${style.fontSize} ${style.fontFamily}`;
+            this.cell = { width: canvas.measureText('M'.repeat(10)).width / 10, height: parseFloat(style.lineHeight) || 20 };
+        }
+        const lines = this.input.value.slice(0, offset).split('\n');
+        const column = lines[lines.length - 1].replace(/\t/g, '    ').length;
+        this.popup.style.left = `${this.input.clientLeft + parseFloat(style.paddingLeft) + column * this.cell.width - this.input.scrollLeft}px`;
+        this.popup.style.top = `${this.input.clientTop + parseFloat(style.paddingTop) + lines.length * this.cell.height - this.input.scrollTop}px`;
+    }
+
+    select(index) {
+        this.active = index;
+        this.popup.querySelectorAll('[data-index]').forEach(el => {
+            const selected = Number(el.dataset.index) === index;
+            el.setAttribute('aria-selected', String(selected));
+            if (selected) el.scrollIntoView({ block: 'nearest' });
+        });
+        this.input.setAttribute('aria-activedescendant', `sg-complete-${index}`);
+    }
+
+    accept(index) {
+        const item = this.completions[index];
+        if (!item) return;
+        const { start, end } = this.completing;
+        const call = item.params ? `${item.name}()` : item.name;
+        this.input.setRangeText(call, start, end, 'end');
+        // Leave the caret between the parentheses when there is something to pass
+        if (item.params && item.params !== '()') this.input.setSelectionRange(start + call.length - 1, start + call.length - 1);
+        this.input.dispatchEvent(new Event('input'));
+        this.closeCompletions();
+    }
+
+    closeCompletions() {
+        this.completions = [];
+        this.popup.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    onKey(e) {
+        if (e.key === ' ' && e.ctrlKey) {
+            e.preventDefault();
+            this.complete(true);
+            return;
         }
-        if (num >= 1000) {
-            return (num / 1000).toFixed(1).replace(/\.0$/, '') + 'k';
+        const count = this.completions.length;
+        if (!count) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.select((this.active + (e.key === 'ArrowDown' ? 1 : count - 1)) % count);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            this.accept(this.active);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeCompletions();
         }
-        return num.toString();
+    }
+
+    // --- Reference ---
+    renderReference() {
+        const signature = (name, params) => `${name}${params || ''}`;
+        Template.render(this.reference, html`
+            <details>
+                <summary>${I18n.t('Globals')}</summary>
+                <ul>${Object.entries(SignatureEditor.GLOBALS).map(([name, params]) => html`<li><code>${signature(name, params)}</code></li>`)}</ul>
+            </details>
+            <details>
+                <summary><code>File</code> / <code>Binary</code></summary>
+                <ul>${Object.entries(SignatureEditor.BINARY).map(([name, params]) => html`<li><code>${signature(name, params)}</code></li>`)}</ul>
+            </details>
+            <details>
+                <summary><code>PE</code> / <code>ELF</code> / <code>MACH</code></summary>
+                <p>${I18n.t('Everything in File, plus:')}</p>
+                <ul>${Object.entries(SignatureEditor.FORMAT).map(([name, params]) => html`<li><code>${signature(name, params)}</code></li>`)}</ul>
+            </details>
+            ${Object.entries(SignatureEditor.OWN).map(([object, members]) => html`
+                <details>
+                    <summary>${I18n.t('{format} only', { format: object })}</summary>
+                    <ul>${Object.entries(members).map(([name, params]) => html`<li><code>${object}.${signature(name, params)}</code></li>`)}</ul>
+                </details>
+            `)}
+        `);
+    }
+}
+
+SignatureEditor.STORAGE_KEY = CONFIG.SETTINGS_PREFIX + 'sg-drafts';
+SignatureEditor.MAX_COMPLETIONS = 12;
+// The scripting API as implemented by createApi() in js/sg-worker.js;
+// null marks variables and objects, anything else is a parameter list
+SignatureEditor.GLOBALS = {
+    init: '(type, name)',
+    meta: '(type, name)',
+    result: '(bShowType, bShowVersion, bShowOptions)',
+    includeScript: '(name)',
+    _setResult: '(type, name, version, options)',
+    _isResultPresent: '(type, name)',
+    _log: '(...values)',
+    bDetected: null,
+    sVersion: null,
+    sOptions: null,
+    sName: null,
+    sType: null,
+    File: null,
+    Binary: null,
+    PE: null,
+    ELF: null,
+    MACH: null
+};
+SignatureEditor.BINARY = {
+    getSize: '()',
+    compare: '(signature, offset)',
+    isSignaturePresent: '(offset, size, signature)',
+    findSignature: '(offset, size, signature)',
+    findString: '(offset, size, text)',
+    read_uint8: '(offset)',
+    read_int8: '(offset)',
+    read_uint16: '(offset, bigEndian)',
+    read_int16: '(offset, bigEndian)',
+    read_uint32: '(offset, bigEndian)',
+    read_int32: '(offset, bigEndian)',
+    read_uint64: '(offset, bigEndian)',
+    read_ansiString: '(offset, maxSize)',
+    calculateEntropy: '(offset, size)',
+    getFileBaseName: '()',
+    getFileSuffix: '()',
+    isHeuristicScan: '()',
+    isDeepScan: '()',
+    isVerbose: '()'
+};
+// Shared by PE, ELF and MACH; each object only answers for its own format
+SignatureEditor.FORMAT = {
+    compareEP: '(signature, offset)',
+    getEntryPointOffset: '()',
+    getNumberOfSections: '()',
+    getSectionName: '(index)',
+    getSectionNumber: '(name)',
+    isSectionNamePresent: '(name)',
+    getSectionFileOffset: '(index)',
+    getSectionFileSize: '(index)',
+    isLibraryPresent: '(name)',
+    getMachineType: '()',
+    is64: '()',
+    is32: '()'
+};
+SignatureEditor.OWN = {
+    PE: {
+        isPE: '()',
+        isDll: '()',
+        isNET: '()',
+        isConsole: '()',
+        getImageBase: '()',
+        getAddressOfEntryPoint: '()',
+        getMajorLinkerVersion: '()',
+        getMinorLinkerVersion: '()',
+        getSectionVirtualAddress: '(index)',
+        getSectionVirtualSize: '(index)',
+        getSectionCharacteristics: '(index)',
+        getEntryPointSection: '()',
+        getNumberOfImports: '()',
+        getImportLibraryName: '(index)',
+        getImportFunctionName: '(library, index)',
+        isLibraryFunctionPresent: '(library, name)',
+        isOverlayPresent: '()',
+        getOverlayOffset: '()',
+        getOverlaySize: '()',
+        compareOverlay: '(signature, offset)'
     },
+    ELF: { isELF: '()' },
+    MACH: { isMACH: '()' }
+};
 
-    formatNumberFull(num) {
-        return num.toLocaleString('en-US');
+// === RELEASE HISTORY ===
+class ReleaseHistory {
+    constructor(root, api) {
+        this.root = root;
+        this.api = api;
+        this.list = root.querySelector('#changelog-list');
+        this.status = root.querySelector('#changelog-status');
+        this.major = root.querySelector('#changelog-major');
+        this.since = root.querySelector('#changelog-since');
+        this.pre = root.querySelector('#changelog-prerelease');
+        this.load();
+    }
+
+    static major(tag) {
+        const m = /(\d+)\./.exec(tag) || /(\d+)/.exec(tag);
+        return m ? m[1] : null;
+    }
+
+    static anchor(tag) {
+        return `release-${tag}`;
+    }
+
+    async load() {
+        const releases = await this.api.loadReleases();
+        if (!releases) {
+            this.status.textContent = I18n.t('Releases could not be loaded. See them on GitHub instead.');
+            return;
+        }
+        this.releases = releases
+            .filter(r => !r.draft)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        const majors = [...new Set(this.releases.map(r => ReleaseHistory.major(r.tag)).filter(Boolean))]
+            .sort((a, b) => b - a);
+        Template.render(this.major, html`<option value="">${I18n.t('All versions')}</option>${
+            majors.map(m => html`<option value="${m}">${m}.x</option>`)}`);
+        Template.render(this.since, html`<option value="">${I18n.t('Any version')}</option>${
+            this.releases.map(r => html`<option value="${r.tag}">${r.tag}</option>`)}`);
+
+        [this.major, this.since, this.pre].forEach(el => el.addEventListener('change', () => this.render()));
+        window.addEventListener('hashchange', () => this.applyHash());
+        this.render();
+        this.applyHash();
+    }
+
+    filtered() {
+        const since = this.releases.find(r => r.tag === this.since.value);
+        return this.releases.filter(r => {
+            if (!this.pre.checked && r.prerelease) return false;
+            if (this.major.value && ReleaseHistory.major(r.tag) !== this.major.value) return false;
+            if (since && new Date(r.date) <= new Date(since.date)) return false;
+            return true;
+        });
+    }
+
+    render() {
+        const releases = this.filtered();
+        this.status.textContent = I18n.n('{shown} of {count} release', '{shown} of {count} releases', this.releases.length, { shown: releases.length });
+        Template.render(this.list, releases.length ? releases.map(r => html`
+            <article class="release-card" id="${ReleaseHistory.anchor(r.tag)}" data-key="${r.tag}">
+                <header class="release-card-header">
+                    <div>
+                        <h3 class="release-card-title">
+                            <a href="#${encodeURIComponent(ReleaseHistory.anchor(r.tag))}" class="release-card-anchor">${r.name || r.tag}</a>
+                            ${r.prerelease ? html`<span class="release-card-badge">${I18n.t('Pre-release')}</span>` : ''}
+                        </h3>
+                        <div class="release-card-meta">
+                            <code>${r.tag}</code>
+                            <time datetime="${r.date}">${I18n.date(r.date)}</time>
+                            <span>${Utils.timeAgo(r.date)}</span>
+                        </div>
+                    </div>
+                    <a href="${r.url}" target="_blank" rel="noopener" class="release-card-link">GitHub</a>
+                </header>
+                <div class="release-card-body markdown">${r.body.trim() ? Template.raw(Markdown.render(r.body, { headingOffset: 3 })) : html`<p class="release-card-empty">${I18n.t('No release notes.')}</p>`}</div>
+                ${r.assets.length ? html`<details class="release-card-assets">
+                    <summary>${I18n.n('{count} asset', '{count} assets', r.assets.length)} · ${I18n.n('{count} download', '{count} downloads', r.assets.reduce((s, a) => s + (a.downloads || 0), 0))}</summary>
+                    <ul>${r.assets.map(a => html`<li>
+                        <a href="${a.url}">${a.name}</a>
+                        <span>${Utils.formatBytes(a.size)} · ${Utils.formatNumberFull(a.downloads || 0)}</span>
+                    </li>`)}</ul>
+                </details>` : ''}
+            </article>
+        `) : html`<div class="commits-loading">${I18n.t('No releases match these filters.')}</div>`);
+    }
+
+    applyHash() {
+        const id = decodeURIComponent(location.hash.slice(1));
+        if (!id.startsWith('release-')) return;
+        let target = document.getElementById(id);
+        if (!target && this.releases.some(r => ReleaseHistory.anchor(r.tag) === id)) {
+            this.major.value = '';
+            this.since.value = '';
+            this.pre.checked = true;
+            this.render();
+            target = document.getElementById(id);
+        }
+        if (!target) return;
+        this.list.querySelectorAll('.release-card.highlight').forEach(el => el.classList.remove('highlight'));
+        target.classList.add('highlight');
+        SmoothScroll.to(target, null);
+    }
+}
+
+// === DOCUMENTATION ===
+// The Detect-It-Easy GitHub wiki, read as raw Markdown and shown on
+// docs.html#/Page (or #/Page/heading). Pages are kept in the cache past
+// clearOld so anything read once stays readable offline, and every page
+// name seen in a link joins the index that the command palette searches.
+const Wiki = {
+    HOME: 'Home',
+    INDEX_KEY: 'wiki_index',
+
+    key(page) {
+        return `wiki_page:${page}`;
     },
 
-    timeAgo(dateString) {
-        const now = new Date();
-        const date = new Date(dateString);
-        const seconds = Math.floor((now - date) / 1000);
-
-        const intervals = [
-            { label: 'year', seconds: 31536000 },
-            { label: 'month', seconds: 2592000 },
-            { label: 'week', seconds: 604800 },
-            { label: 'day', seconds: 86400 },
-            { label: 'hour', seconds: 3600 },
-            { label: 'minute', seconds: 60 }
-        ];
+    // 'How to write your scripts' and 'How-to-write-your-scripts' are one page
+    normalize(page) {
+        return String(page).trim().replace(/\s+/g, '-').replace(/\.md$/i, '') || this.HOME;
+    },
+
+    title(page) {
+        return page.replace(/-/g, ' ');
+    },
+
+    rawUrl(page) {
+        return `${CONFIG.GITHUB_RAW}/wiki/${CONFIG.GITHUB_REPO}/${encodeURIComponent(page)}.md`;
+    },
+
+    sourceUrl(page) {
+        const base = `https://github.com/${CONFIG.GITHUB_REPO}/wiki`;
+        return page === this.HOME ? base : `${base}/${encodeURIComponent(page)}`;
+    },
+
+    route(page, anchor = '') {
+        return `docs.html#/${encodeURIComponent(page)}${anchor ? `/${encodeURIComponent(anchor)}` : ''}`;
+    },
 
-        for (const interval of intervals) {
-            const count = Math.floor(seconds / interval.seconds);
-            if (count >= 1) {
-                return `${count} ${interval.label}${count > 1 ? 's' : ''} ago`;
+    // A fresh copy is used as is; otherwise the network wins and a saved
+    // copy of any age is the fallback. Resolves to { source, fetched, offline }.
+    async load(page) {
+        const entry = CacheManager.entry(this.key(page));
+        if (entry && Date.now() - entry.timestamp <= CONFIG.WIKI_DURATION) {
+            return { source: entry.data, fetched: entry.timestamp, offline: false };
+        }
+        try {
+            const resp = await HttpClient.fetch(this.rawUrl(page));
+            if (!resp.ok) throw Object.assign(new Error(`HTTP ${resp.status}`), { status: resp.status });
+            const cachedAt = Offline.cachedAt(resp);
+            if (cachedAt) {
+                return entry
+                    ? { source: entry.data, fetched: entry.timestamp, offline: true }
+                    : { source: await resp.text(), fetched: cachedAt, offline: true };
             }
+            const source = await resp.text();
+            CacheManager.set(this.key(page), source);
+            this.remember([page]);
+            return { source, fetched: Date.now(), offline: false };
+        } catch (e) {
+            if (!entry || e.status === 404) throw e;
+            Utils.log('Wiki fetch error, using saved copy:', page, e);
+            return { source: entry.data, fetched: entry.timestamp, offline: true };
+        }
+    },
+
+    cached(page) {
+        const entry = CacheManager.entry(this.key(page));
+        return entry ? entry.data : null;
+    },
+
+    remember(pages) {
+        const known = new Set(CacheManager.get(this.INDEX_KEY, Infinity) || []);
+        const size = known.size;
+        pages.forEach(p => known.add(p));
+        if (known.size !== size) CacheManager.set(this.INDEX_KEY, [...known].sort());
+    },
+
+    pages() {
+        const known = new Set(CacheManager.get(this.INDEX_KEY, Infinity) || []);
+        known.add(this.HOME);
+        return [...known].sort((a, b) => (a === this.HOME ? -1 : b === this.HOME ? 1 : a.localeCompare(b)));
+    },
+
+    // GitHub wiki links: [[Page]] and [[Text|Page]], outside code blocks
+    expandLinks(source) {
+        return source.split(/(^(?:```|~~~)[\s\S]*?^(?:```|~~~)\s*$)/m).map((part, i) => i % 2 ? part
+            : part.replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (m, text, page) => `[${text.trim()}](${this.normalize(page || text)})`)
+        ).join('');
+    },
+
+    // Wiki-relative and github.com/.../wiki links become site routes, wiki
+    // attachments load from raw, other http(s) links are left alone and
+    // anything else is dropped (null)
+    resolve(href, page, found) {
+        if (href.startsWith('#')) return this.route(page, decodeURIComponent(href.slice(1)));
+        const base = `https://github.com/${CONFIG.GITHUB_REPO}/wiki`;
+        let url;
+        try {
+            url = new URL(href, `${base}/`);
+        } catch {
+            return null;
         }
-        return 'just now';
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        if (url.origin !== 'https://github.com' || !(`${url.pathname}/`).startsWith(`/${CONFIG.GITHUB_REPO}/wiki/`)) return url.href;
+        const path = decodeURIComponent(url.pathname.slice(`/${CONFIG.GITHUB_REPO}/wiki/`.length));
+        if (/\.(?!md$)\w+$/i.test(path)) return `${CONFIG.GITHUB_RAW}/wiki/${CONFIG.GITHUB_REPO}/${path}`;
+        const target = this.normalize(path);
+        if (found) found.add(target);
+        return this.route(target, decodeURIComponent(url.hash.slice(1)));
     },
 
-    isMobile() {
-        return 'ontouchstart' in window || window.innerWidth <= 768;
-    },
+    // Items for CommandPalette
+    items() {
+        return this.pages().map(page => ({
+            title: this.title(page),
+            subtitle: I18n.t('Wiki'),
+            keywords: page,
+            preview: () => {
+                const source = this.cached(page);
+                return html`
+                    <div class="palette-preview-title">${this.title(page)}</div>
+                    ${source === null
+                        ? html`<p>${I18n.t('Open the page to download it.')}</p>`
+                        : html`<div class="markdown">${Template.raw(Markdown.render(this.expandLinks(source), { headingOffset: 2, resolveLink: href => this.resolve(href, page) }))}</div>`}
+                `;
+            },
+            run: () => { location.href = new URL(this.route(page), CONFIG.SITE_ROOT).href; }
+        }));
+    }
+};
+
+class DocsReader {
+    constructor(root) {
+        this.root = root;
+        this.content = root.querySelector('#docs-content');
+        this.toc = root.querySelector('#docs-toc');
+        this.pagesList = root.querySelector('#docs-pages');
+        this.status = root.querySelector('#docs-status');
+        this.source = root.querySelector('#docs-source');
+        this.page = null;
+        this.request = 0;
+        window.addEventListener('hashchange', () => this.route());
+        this.route();
+    }
+
+    // #/Page/anchor; any other hash (#main from the skip link) is not a route
+    parse() {
+        const m = /^#\/([^/]*)(?:\/(.*))?$/.exec(location.hash);
+        if (!m) return null;
+        const decode = value => { try { return decodeURIComponent(value); } catch { return value; } };
+        return { page: Wiki.normalize(decode(m[1])), anchor: m[2] ? decode(m[2]) : '' };
+    }
+
+    async route() {
+        const target = this.parse() || (this.page ? null : { page: Wiki.HOME, anchor: '' });
+        if (!target) return;
+        if (target.page !== this.page) await this.show(target.page);
+        if (target.page === this.page) this.scrollTo(target.anchor);
+    }
+
+    async show(page) {
+        const request = ++this.request;
+        this.page = page;
+        this.source.href = Wiki.sourceUrl(page);
+        this.setStatus(I18n.t('Loading {page}…', { page: Wiki.title(page) }));
+        this.content.setAttribute('aria-busy', 'true');
+        let doc;
+        try {
+            doc = await Wiki.load(page);
+        } catch (e) {
+            if (request !== this.request) return;
+            Utils.log('Wiki page error:', page, e);
+            this.content.removeAttribute('aria-busy');
+            this.setStatus(e.status === 404
+                ? I18n.t('There is no wiki page called “{page}”.', { page: Wiki.title(page) })
+                : I18n.t('This page could not be loaded. Read it on GitHub instead.'));
+            Template.render(this.content, '');
+            Template.render(this.toc, '');
+            this.renderPages();
+            return;
+        }
+        if (request !== this.request) return;
+        this.render(page, doc);
+        // Home links to most pages, so fetching it once fills the index
+        if (page !== Wiki.HOME && Wiki.cached(Wiki.HOME) === null) {
+            Wiki.load(Wiki.HOME).then(home => this.links(Wiki.HOME, home.source)).then(() => this.renderPages()).catch(() => {});
+        }
+    }
+
+    // Pages linked from a source, recorded in the index
+    links(page, source) {
+        const found = new Set();
+        Markdown.render(Wiki.expandLinks(source), { resolveLink: href => Wiki.resolve(href, page, found) });
+        Wiki.remember([...found]);
+        return found;
+    }
+
+    render(page, doc) {
+        const headings = [];
+        const found = new Set();
+        const body = Markdown.render(Wiki.expandLinks(doc.source), {
+            headingOffset: 1,
+            headings,
+            idPrefix: DocsReader.ID_PREFIX,
+            anchorHref: slug => Wiki.route(page, slug),
+            resolveLink: href => Wiki.resolve(href, page, found)
+        });
+        Wiki.remember([...found]);
+
+        document.title = I18n.t('{page} · Documentation | Detect It Easy', { page: Wiki.title(page) });
+        Template.render(this.content, html`
+            <h1 class="docs-title" tabindex="-1">${Wiki.title(page)}</h1>
+            ${Template.raw(body)}
+        `);
+        this.content.removeAttribute('aria-busy');
+        Template.render(this.toc, headings.filter(h => h.level <= 3).map(h => html`
+            <li class="docs-toc-level-${h.level}"><a href="${Wiki.route(page, h.slug)}">${h.text}</a></li>
+        `));
+        this.renderPages();
+        this.setStatus(doc.offline
+            ? I18n.t('Offline: showing the copy saved {time}.', { time: Utils.timeAgo(doc.fetched) })
+            : '');
+    }
+
+    renderPages() {
+        Template.render(this.pagesList, Wiki.pages().map(p => html`
+            <li data-key="${p}"><a href="${Wiki.route(p)}" ${p === this.page ? html`aria-current="page"` : ''}>${Wiki.title(p)}</a></li>
+        `));
+    }
+
+    scrollTo(anchor) {
+        const target = anchor
+            ? document.getElementById(DocsReader.ID_PREFIX + Markdown.slug(anchor)) || document.getElementById(DocsReader.ID_PREFIX + anchor)
+            : this.content.querySelector('.docs-title');
+        if (target) SmoothScroll.to(target, null);
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+}
+
+DocsReader.ID_PREFIX = 'doc-';
+
+// === COMMITS TRACKER ===
+// History of the main repository, a page at a time, grouped by day. Branch,
+// author and path filters are passed to the API; expanding a commit fetches
+// its full message and changed files.
+class CommitsTracker {
+    constructor(root, api) {
+        this.root = root;
+        this.api = api;
+        this.list = root.querySelector('#commits-list');
+        this.branch = root.querySelector('#commits-branch');
+        this.author = root.querySelector('#commits-author');
+        this.authors = root.querySelector('#commits-authors');
+        this.path = root.querySelector('#commits-path');
+        this.status = root.querySelector('#commits-status');
+        this.more = root.querySelector('#commits-more');
+        this.commits = [];
+        this.details = new Map();
+        this.page = 1;
+        this.done = false;
+        this.request = 0;
+
+        // The first unfiltered page is the 'commits' data source
+        api.subscribe(source => {
+            if (source === 'commits' && this.isDefault() && this.page === 1) this.reload();
+        });
+        this.bind();
+        this.loadBranches();
+    }
+
+    static day(date) {
+        return new Date(date).toLocaleDateString('en-CA');
+    }
+
+    static dayLabel(date) {
+        const day = CommitsTracker.day(date);
+        if (day === CommitsTracker.day(Date.now())) return I18n.t('Today');
+        if (day === CommitsTracker.day(Date.now() - 24 * 60 * 60 * 1000)) return I18n.t('Yesterday');
+        return I18n.date(date, { weekday: 'long', year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    bind() {
+        const refresh = () => this.reload();
+        this.branch.addEventListener('change', refresh);
+        this.author.addEventListener('input', Utils.debounce(refresh, 400));
+        this.path.addEventListener('input', Utils.debounce(refresh, 400));
+        this.more.addEventListener('click', () => this.loadMore());
+        // <details> toggle events don't bubble
+        this.list.addEventListener('toggle', (e) => {
+            if (e.target.open && e.target.dataset.sha) this.expand(e.target.dataset.sha);
+        }, true);
+    }
+
+    async loadBranches() {
+        try {
+            const branches = await this.api.loadBranches();
+            const names = [CONFIG.GITHUB_BRANCH, ...branches.filter(b => b !== CONFIG.GITHUB_BRANCH).sort()];
+            const current = this.branch.value || CONFIG.GITHUB_BRANCH;
+            Template.render(this.branch, names.map(b => html`<option value="${b}">${b}</option>`));
+            this.branch.value = current;
+        } catch (e) {
+            Utils.log('Branches fetch error:', e);
+        }
+    }
+
+    filters() {
+        return {
+            branch: this.branch.value || CONFIG.GITHUB_BRANCH,
+            author: this.author.value.trim(),
+            path: this.path.value.trim().replace(/^\/+|\/+$/g, '')
+        };
+    }
+
+    isDefault() {
+        const f = this.filters();
+        return f.branch === CONFIG.GITHUB_BRANCH && !f.author && !f.path;
+    }
+
+    async reload() {
+        this.page = 1;
+        if (this.isDefault()) {
+            this.request++;
+            if (this.api.commits) this.show(this.api.commits);
+            else Template.render(this.list, html`<div class="commits-loading">${I18n.t('Commits could not be loaded. Try again later.')}</div>`);
+            return;
+        }
+        this.commits = [];
+        this.setStatus(I18n.t('Loading commits…'));
+        await this.fetch();
+    }
+
+    async loadMore() {
+        this.page++;
+        await this.fetch();
+    }
+
+    async fetch() {
+        const request = ++this.request;
+        this.more.disabled = true;
+        this.list.setAttribute('aria-busy', 'true');
+        try {
+            const commits = await this.api.fetchCommits({ ...this.filters(), page: this.page });
+            if (request !== this.request) return;
+            this.show(this.page === 1 ? commits : [...this.commits, ...commits], commits.length);
+        } catch (e) {
+            Utils.log('Commits fetch error:', e);
+            if (request !== this.request) return;
+            if (this.page > 1) this.page--;
+            this.setStatus(I18n.t('Commits could not be loaded. Try again later.'));
+        } finally {
+            this.more.disabled = false;
+            if (request === this.request) this.list.removeAttribute('aria-busy');
+        }
+    }
+
+    show(commits, received = commits.length) {
+        const seen = new Set();
+        this.commits = commits.filter(c => !seen.has(c.sha) && seen.add(c.sha));
+        this.done = received < GitHubAPI.COMMITS_PAGE_SIZE;
+        this.more.hidden = this.done;
+
+        const f = this.filters();
+        this.setStatus([
+            I18n.n('{count}{more} commit on {branch}', '{count}{more} commits on {branch}', this.commits.length, { more: this.done ? '' : '+', branch: f.branch }),
+            f.author && I18n.t('by {author}', { author: f.author }),
+            f.path && I18n.t('touching {path}/', { path: f.path })
+        ].filter(Boolean).join(' '));
+        const logins = new Set([...this.commits, ...(this.api.contributors || [])].map(c => c.login).filter(Boolean));
+        Template.render(this.authors, [...logins].sort().map(login => html`<option value="${login}"></option>`));
+        this.render();
+    }
+
+    setStatus(text) {
+        if (this.status) this.status.textContent = text;
+    }
+
+    async expand(sha) {
+        if (this.details.has(sha) && this.details.get(sha) !== 'error') return;
+        this.details.set(sha, 'loading');
+        this.render();
+        try {
+            this.details.set(sha, await this.api.loadCommit(sha));
+        } catch (e) {
+            Utils.log('Commit fetch error:', e);
+            this.details.set(sha, 'error');
+        }
+        this.render();
+    }
+
+    // --- Rendering ---
+    render() {
+        const days = [];
+        this.commits.forEach(c => {
+            const day = CommitsTracker.day(c.date);
+            if (!days.length || days[days.length - 1].day !== day) days.push({ day, date: c.date, commits: [] });
+            days[days.length - 1].commits.push(c);
+        });
+        Template.render(this.list, days.length ? days.map(d => html`
+            <div class="commits-day" data-key="${d.day}">
+                <h3 class="commits-day-title">
+                    <time datetime="${d.day}">${CommitsTracker.dayLabel(d.date)}</time>
+                    <span>${I18n.n('{count} commit', '{count} commits', d.commits.length)}</span>
+                </h3>
+                ${d.commits.map(c => this.renderCommit(c))}
+            </div>
+        `) : html`<div class="commits-loading">${I18n.t('No commits match these filters.')}</div>`);
+    }
+
+    renderCommit(c) {
+        return html`
+            <details class="commit-item" data-key="${c.sha}" data-sha="${c.sha}">
+                <summary class="commit-summary">
+                    <div class="commit-line"></div>
+                    <div class="commit-dot"></div>
+                    <div class="commit-content">
+                        <div class="commit-header">
+                            ${c.avatar ? html`<img class="commit-avatar" src="${c.avatar}" alt="${c.author}" width="24" height="24" loading="lazy">` : html`<div class="commit-avatar-placeholder"></div>`}
+                            <span class="commit-author">${c.author}</span>
+                            <span class="commit-date" title="${new Date(c.date).toLocaleString(I18n.locale)}">${Utils.timeAgo(c.date)}</span>
+                        </div>
+                        <p class="commit-message">${c.title}</p>
+                        <code class="commit-sha">${c.short}</code>
+                    </div>
+                </summary>
+                <div class="commit-details">${this.renderDetails(c)}</div>
+            </details>
+        `;
+    }
+
+    renderDetails(c) {
+        const d = this.details.get(c.sha);
+        if (!d || d === 'loading') return html`<div class="commits-loading">${I18n.t('Loading changes…')}</div>`;
+        if (d === 'error') {
+            return html`<p class="commit-details-error">${I18n.t('Changes could not be loaded.')} <a href="${c.url}" target="_blank" rel="noopener">${I18n.t('View on GitHub')}</a></p>`;
+        }
+        const body = d.message.slice(d.title.length).trim();
+        return html`
+            ${body ? html`<pre class="commit-body">${body}</pre>` : ''}
+            <div class="commit-stats">
+                <span>${I18n.n('{count} file changed', '{count} files changed', d.files.length)}</span>
+                <span class="commit-additions">+${Utils.formatNumberFull(d.additions)}</span>
+                <span class="commit-deletions">−${Utils.formatNumberFull(d.deletions)}</span>
+                <a href="${d.url}" target="_blank" rel="noopener" class="commit-diff-link">${I18n.t('View diff on GitHub')}</a>
+            </div>
+            <ul class="commit-files">${d.files.map(f => html`
+                <li class="commit-file commit-file-${f.status}">
+                    <a href="${f.url}" target="_blank" rel="noopener" title="${f.status}">${f.previous ? `${f.previous} → ` : ''}${f.name}</a>
+                    <span class="commit-additions">+${f.additions}</span>
+                    <span class="commit-deletions">−${f.deletions}</span>
+                </li>
+            `)}</ul>
+        `;
+    }
+}
+
+// === CONTRIBUTORS ===
+// Everyone from both repositories with their commits per repo. People with
+// a GitHub account come first; bots and commits without an account are
+// listed separately.
+class ContributorsList {
+    constructor(root, api) {
+        this.root = root;
+        this.api = api;
+        this.list = root.querySelector('#contributors-list');
+        this.others = root.querySelector('#contributors-others');
+        this.search = root.querySelector('#contributors-search');
+        this.sort = root.querySelector('#contributors-sort');
+        this.status = root.querySelector('#contributors-status');
+        this.limit = ContributorsList.PAGE_SIZE;
+
+        api.subscribe(source => {
+            if (source === 'contributors') this.render();
+        });
+        this.search.addEventListener('input', Utils.debounce(() => {
+            this.limit = ContributorsList.PAGE_SIZE;
+            this.render();
+        }, 150));
+        this.sort.addEventListener('change', () => this.render());
+        this.list.addEventListener('click', (e) => {
+            if (!e.target.closest('.contributors-more')) return;
+            const first = this.limit;
+            this.limit = Infinity;
+            this.render();
+            const next = this.list.querySelectorAll('.contributor-item')[first];
+            if (next) next.focus();
+        });
+    }
+
+    static repoName(repo) {
+        return repo.split('/').pop();
+    }
 
-    log(...args) {
-        if (CONFIG.DEBUG) {
-            console.log('[DIE]', ...args);
+    filtered() {
+        const query = this.search.value.trim().toLowerCase();
+        const people = (this.api.contributors || []).filter(c => !query || c.name.toLowerCase().includes(query));
+        if (this.sort.value === 'name') {
+            return [...people].sort((a, b) => a.name.localeCompare(b.name, I18n.locale, { sensitivity: 'base' }));
         }
+        return people;
     }
-};
 
-// === CACHE MANAGER ===
-class CacheManager {
-    static get(key) {
-        try {
-            const raw = localStorage.getItem(CONFIG.CACHE_PREFIX + key);
-            if (!raw) return null;
-            const parsed = JSON.parse(raw);
-            if (Date.now() - parsed.timestamp > CONFIG.CACHE_DURATION) {
-                localStorage.removeItem(CONFIG.CACHE_PREFIX + key);
-                return null;
-            }
-            return parsed.data;
-        } catch {
-            return null;
+    render() {
+        if (!this.api.contributors) {
+            Template.render(this.list, html`<div class="commits-loading">${I18n.t('Contributors could not be loaded.')}</div>`);
+            return;
         }
+        const people = this.filtered();
+        const users = people.filter(c => c.kind === 'user');
+        const bots = people.filter(c => c.kind === 'bot');
+        const anonymous = people.filter(c => c.kind === 'anonymous');
+        const repos = [CONFIG.GITHUB_REPO, CONFIG.GITHUB_RELEASES_REPO].map(ContributorsList.repoName);
+        const others = [
+            bots.length ? I18n.n('{count} bot', '{count} bots', bots.length) : '',
+            anonymous.length ? I18n.n('{count} without a GitHub account', '{count} without a GitHub account', anonymous.length) : ''
+        ].filter(Boolean);
+        this.status.textContent = I18n.n('{count} contributor across {repos}', '{count} contributors across {repos}', users.length, {
+            repos: new Intl.ListFormat(I18n.locale).format(repos)
+        }) + (others.length ? I18n.t(', plus {others}', { others: new Intl.ListFormat(I18n.locale).format(others) }) : '');
+
+        Template.render(this.list, users.length ? html`${users.slice(0, this.limit).map(c => html`
+            <a href="${c.url}" target="_blank" rel="noopener" class="contributor-item" data-key="${c.key}" title="${c.name} (${I18n.n('{count} commit', '{count} commits', c.contributions)})">
+                <img class="contributor-avatar" src="${c.avatar}" alt="${c.name}" width="40" height="40" loading="lazy">
+                <span class="contributor-name">${c.name}</span>
+                ${this.renderRepos(c)}
+            </a>
+        `)}${users.length > this.limit
+            ? html`<button type="button" class="btn btn-secondary contributors-more">${I18n.t('Show all {count}', { count: users.length })}</button>`
+            : ''}` : html`<div class="commits-loading">${I18n.t('No contributors match this search.')}</div>`);
+
+        Template.render(this.others, html`
+            ${bots.length ? this.renderGroup('Bots', bots) : ''}
+            ${anonymous.length ? this.renderGroup('Without a GitHub account', anonymous) : ''}
+        `);
     }
 
-    static set(key, data) {
-        try {
-            localStorage.setItem(CONFIG.CACHE_PREFIX + key, JSON.stringify({
-                data,
-                timestamp: Date.now()
-            }));
-        } catch {
-            Utils.log('Cache write failed for', key);
-        }
+    renderGroup(title, people) {
+        return html`
+            <div class="contributors-group">
+                <h3 class="contributors-group-title">${I18n.t(title)} <span>${people.length}</span></h3>
+                <ul>${people.map(c => html`
+                    <li data-key="${c.key}">
+                        ${c.url ? html`<a href="${c.url}" target="_blank" rel="noopener">${c.name}</a>` : html`<span>${c.name}</span>`}
+                        ${this.renderRepos(c)}
+                    </li>
+                `)}</ul>
+            </div>
+        `;
     }
 
-    static clearOld() {
-        try {
-            const keys = Object.keys(localStorage);
-            keys.forEach(key => {
-                if (key.startsWith(CONFIG.CACHE_PREFIX)) {
-                    try {
-                        const parsed = JSON.parse(localStorage.getItem(key));
-                        if (Date.now() - parsed.timestamp > 24 * 60 * 60 * 1000) {
-                            localStorage.removeItem(key);
-                        }
-                    } catch { /* skip */ }
-                }
-            });
-        } catch { /* skip */ }
+    renderRepos(c) {
+        return html`<span class="contributor-repos">${Object.entries(c.repos).map(([repo, count]) =>
+            html`<span title="${I18n.n('{count} commit to {repo}', '{count} commits to {repo}', count, { repo })}">${ContributorsList.repoName(repo)} ${Utils.formatNumberFull(count)}</span>`
+        )}</span>`;
     }
 }
 
-// === GITHUB API MODULE ===
-class GitHubAPI {
-    constructor() {
-        this.repoStats = null;
-        this.totalDownloads = null;
-        this.commits = null;
-        this.contributors = null;
-        this.languages = null;
-        this.latestRelease = null;
-    }
+ContributorsList.PAGE_SIZE = 36;
 
-    async init() {
-        await Promise.all([
-            this.loadRepoStats(),
-            this.loadTotalDownloads(),
-            this.loadCommits(),
-            this.loadContributors(),
-            this.loadLanguages(),
-            this.loadLatestRelease()
-        ]);
+// === ISSUES FEED ===
+// Recent issues or pull requests of the main repository, filtered by state
+// and label through the search API, a page at a time.
+class IssuesFeed {
+    constructor(root, api) {
+        this.root = root;
+        this.api = api;
+        this.list = root.querySelector('#issues-list');
+        this.type = root.querySelector('#issues-type');
+        this.state = root.querySelector('#issues-state');
+        this.label = root.querySelector('#issues-label');
+        this.status = root.querySelector('#issues-status');
+        this.more = root.querySelector('#issues-more');
+        this.items = [];
+        this.page = 1;
+        this.request = 0;
+
+        [this.type, this.state, this.label].forEach(el => el.addEventListener('change', () => this.reload()));
+        this.more.addEventListener('click', () => {
+            this.page++;
+            this.fetch();
+        });
+        // A label on an item filters by that label
+        this.list.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-label]');
+            if (!chip) return;
+            this.label.value = chip.dataset.label;
+            if (this.label.value === chip.dataset.label) this.reload();
+        });
+        this.loadLabels();
+        this.reload();
     }
 
-    // --- Repo Stats (stars, forks, watchers, issues) ---
-    async loadRepoStats() {
-        const cached = CacheManager.get('repo_stats');
-        if (cached) {
-            this.repoStats = cached;
-            this.renderRepoStats();
-            return;
-        }
+    async loadLabels() {
         try {
-            const resp = await fetch(`${CONFIG.GITHUB_API}/repos/${CONFIG.GITHUB_REPO}`);
-            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-            const data = await resp.json();
-            this.repoStats = {
-                stars: data.stargazers_count,
-                forks: data.forks_count,
-                watchers: data.subscribers_count,
-                openIssues: data.open_issues_count
-            };
-            CacheManager.set('repo_stats', this.repoStats);
-            this.renderRepoStats();
+            const labels = await this.api.loadLabels();
+            const current = this.label.value;
+            Template.render(this.label, html`<option value="">${I18n.t('All labels')}</option>${
+                [...labels].sort((a, b) => a.localeCompare(b, I18n.locale, { sensitivity: 'base' }))
+                    .map(l => html`<option value="${l}">${l}</option>`)}`);
+            this.label.value = current;
         } catch (e) {
-            Utils.log('Repo stats fetch error:', e);
-            this.repoStats = { stars: 10200, forks: 879, watchers: 168, openIssues: 0 };
-            this.renderRepoStats();
+            Utils.log('Labels fetch error:', e);
         }
     }
 
-    renderRepoStats() {
-        if (!this.repoStats) return;
-        const s = this.repoStats;
-        this.updateEl('hero-stars', Utils.formatNumber(s.stars) + '+');
-        this.updateEl('hero-forks', Utils.formatNumber(s.forks) + '+');
-        this.updateEl('detailed-stars', Utils.formatNumberFull(s.stars));
-        this.updateEl('detailed-forks', Utils.formatNumberFull(s.forks));
-        this.updateEl('detailed-watchers', Utils.formatNumberFull(s.watchers));
-        this.updateEl('detailed-issues', s.openIssues.toString());
+    reload() {
+        this.page = 1;
+        this.items = [];
+        this.setStatus(I18n.t('Loading…'));
+        this.fetch();
     }
 
-    // --- Total Downloads (all releases from DIE-engine) ---
-    async loadTotalDownloads() {
-        const cached = CacheManager.get('total_downloads');
-        if (cached !== null) {
-            this.totalDownloads = cached;
-            this.renderDownloads();
-            return;
-        }
+    async fetch() {
+        const request = ++this.request;
+        this.more.disabled = true;
+        this.list.setAttribute('aria-busy', 'true');
         try {
-            let total = 0;
-            let page = 1;
-            let hasMore = true;
-            while (hasMore) {
-                const resp = await fetch(
-                    `${CONFIG.GITHUB_API}/repos/${CONFIG.GITHUB_RELEASES_REPO}/releases?per_page=100&page=${page}`
-                );
-                if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-                const releases = await resp.json();
-                if (releases.length === 0) {
-                    hasMore = false;
-                    break;
-                }
-                for (const release of releases) {
-                    for (const asset of (release.assets || [])) {
-                        total += asset.download_count || 0;
-                    }
-                }
-                const linkHeader = resp.headers.get('Link');
-                hasMore = linkHeader && linkHeader.includes('rel="next"');
-                page++;
-                if (page > 20) break; // safety limit
-            }
-            this.totalDownloads = total;
-            CacheManager.set('total_downloads', total);
-            this.renderDownloads();
+            const { total, items } = await this.api.fetchIssues({
+                type: this.type.value,
+                state: this.state.value,
+                label: this.label.value,
+                page: this.page
+            });
+            if (request !== this.request) return;
+            this.items = this.page === 1 ? items : [...this.items, ...items];
+            this.more.hidden = this.items.length >= total || items.length < GitHubAPI.ISSUES_PAGE_SIZE;
+            const [one, other] = IssuesFeed.STATUS[this.type.value === 'pr' ? 'pr' : 'issue'][this.state.value] || IssuesFeed.STATUS.issue.all;
+            this.setStatus([
+                I18n.n(one, other, total),
+                this.label.value && I18n.t('labeled “{label}”', { label: this.label.value })
+            ].filter(Boolean).join(' '));
+            this.render();
         } catch (e) {
-            Utils.log('Downloads fetch error:', e);
-            this.totalDownloads = 1000000;
-            this.renderDownloads();
+            Utils.log('Issues fetch error:', e);
+            if (request !== this.request) return;
+            if (this.page > 1) this.page--;
+            this.setStatus(I18n.t('Issues could not be loaded. Try again later.'));
+        } finally {
+            this.more.disabled = false;
+            if (request === this.request) this.list.removeAttribute('aria-busy');
         }
     }
 
-    renderDownloads() {
-        this.updateEl('hero-downloads', Utils.formatNumber(this.totalDownloads) + '+');
-        this.updateEl('detailed-downloads', Utils.formatNumberFull(this.totalDownloads));
+    setStatus(text) {
+        if (this.status) this.status.textContent = text;
     }
 
-    // --- Commits ---
-    async loadCommits() {
-        const cached = CacheManager.get('commits');
-        if (cached) {
-            this.commits = cached;
-            this.renderCommits();
-            return;
-        }
-        try {
-            const resp = await fetch(
-                `${CONFIG.GITHUB_API}/repos/${CONFIG.GITHUB_REPO}/commits?per_page=8`
-            );
-            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-            const data = await resp.json();
-            this.commits = data.map(c => ({
-                sha: c.sha.substring(0, 7),
-                message: (c.commit.message || '').split('\n')[0].substring(0, 80),
-                date: c.commit.author.date,
-                author: c.author ? c.author.login : c.commit.author.name,
-                avatar: c.author ? c.author.avatar_url : null
-            }));
-            CacheManager.set('commits', this.commits);
-            this.renderCommits();
-        } catch (e) {
-            Utils.log('Commits fetch error:', e);
-        }
+    static stateName(item) {
+        return item.merged ? 'merged' : item.state;
     }
 
-    renderCommits() {
-        const container = document.getElementById('commits-list');
-        if (!container || !this.commits) return;
-        container.innerHTML = this.commits.map(c => `
-            <div class="commit-item">
-                <div class="commit-line"></div>
-                <div class="commit-dot"></div>
-                <div class="commit-content">
-                    <div class="commit-header">
-                        ${c.avatar ? `<img class="commit-avatar" src="${c.avatar}" alt="${c.author}" width="24" height="24" loading="lazy">` : '<div class="commit-avatar-placeholder"></div>'}
-                        <span class="commit-author">${c.author}</span>
-                        <span class="commit-date">${Utils.timeAgo(c.date)}</span>
+    render() {
+        Template.render(this.list, this.items.length ? this.items.map(item => html`
+            <li class="issue-item" data-key="${item.number}">
+                <span class="issue-state issue-state-${IssuesFeed.stateName(item)}" title="${I18n.t(IssuesFeed.stateName(item))}"></span>
+                <div class="issue-body">
+                    <a href="${item.url}" target="_blank" rel="noopener" class="issue-title">${item.title}</a>
+                    ${item.labels.map(l => html`<button type="button" class="issue-label" data-label="${l.name}"
+                        style="${l.color ? `--label-color: ${l.color}` : ''}">${l.name}</button>`)}
+                    <div class="issue-meta">
+                        ${I18n.t('#{number} opened {time} by {author}', { number: String(item.number), time: Utils.timeAgo(item.created), author: item.author })}
+                        ${item.closed ? html` · ${I18n.t(item.merged ? 'merged {time}' : 'closed {time}', { time: Utils.timeAgo(item.closed) })}` : ''}
                     </div>
-                    <p class="commit-message">${c.message}</p>
-                    <code class="commit-sha">${c.sha}</code>
                 </div>
-            </div>
-        `).join('');
+                ${item.comments ? html`<span class="issue-comments" title="${I18n.n('{count} comment', '{count} comments', item.comments)}">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>
+                    ${item.comments}
+                </span>` : ''}
+            </li>
+        `) : html`<li class="commits-loading">${I18n.t('Nothing matches these filters.')}</li>`);
     }
+}
 
-    // --- Contributors ---
-    async loadContributors() {
-        const cached = CacheManager.get('contributors');
-        if (cached) {
-            this.contributors = cached;
-            this.renderContributors();
-            return;
-        }
-        try {
-            const resp = await fetch(
-                `${CONFIG.GITHUB_API}/repos/${CONFIG.GITHUB_REPO}/contributors?per_page=12`
-            );
-            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-            const data = await resp.json();
-            this.contributors = data.map(c => ({
-                login: c.login,
-                avatar: c.avatar_url,
-                contributions: c.contributions,
-                url: c.html_url
-            }));
-            CacheManager.set('contributors', this.contributors);
-            this.renderContributors();
-        } catch (e) {
-            Utils.log('Contributors fetch error:', e);
+// Status line per type and state, as [one, other] plural forms
+IssuesFeed.STATUS = {
+    issue: {
+        open: ['{count} open issue', '{count} open issues'],
+        closed: ['{count} closed issue', '{count} closed issues'],
+        all: ['{count} issue', '{count} issues']
+    },
+    pr: {
+        open: ['{count} open pull request', '{count} open pull requests'],
+        closed: ['{count} closed pull request', '{count} closed pull requests'],
+        all: ['{count} pull request', '{count} pull requests']
+    }
+};
+
+// === HASHING ===
+const Hashing = {
+    NAMES: { sha256: 'SHA-256', sha1: 'SHA-1', md5: 'MD5' },
+    BY_LENGTH: { 64: 'sha256', 40: 'sha1', 32: 'md5' },
+
+    async digest(buffer) {
+        const hex = (data) => Array.from(new Uint8Array(data), b => b.toString(16).padStart(2, '0')).join('');
+        const [sha256, sha1] = await Promise.all([
+            crypto.subtle.digest('SHA-256', buffer),
+            crypto.subtle.digest('SHA-1', buffer)
+        ]);
+        return { sha256: hex(sha256), sha1: hex(sha1), md5: this.md5(new Uint8Array(buffer)) };
+    },
+
+    // WebCrypto has no MD5, so it is computed here (RFC 1321)
+    md5(bytes) {
+        const K = this.MD5_K || (this.MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0));
+        const S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+        const state = [0x67452301, 0xefcdab89 | 0, 0x98badcfe | 0, 0x10325476];
+        const M = new Int32Array(16);
+
+        const block = (view, offset) => {
+            for (let i = 0; i < 16; i++) M[i] = view.getInt32(offset + i * 4, true);
+            let [a, b, c, d] = state;
+            for (let i = 0; i < 64; i++) {
+                let f, g;
+                if (i < 16) { f = (b & c) | (~b & d); g = i; }
+                else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+                else if (i < 48) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+                else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+                const s = S[(i >> 4) * 4 + (i % 4)];
+                f = (f + a + K[i] + M[g]) | 0;
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((f << s) | (f >>> (32 - s)))) | 0;
+            }
+            state[0] = (state[0] + a) | 0;
+            state[1] = (state[1] + b) | 0;
+            state[2] = (state[2] + c) | 0;
+            state[3] = (state[3] + d) | 0;
+        };
+
+        const full = bytes.length - (bytes.length % 64);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        for (let off = 0; off < full; off += 64) block(view, off);
+
+        // Padding: remaining bytes, 0x80, zeros, 64-bit little-endian bit length
+        const tail = new Uint8Array(bytes.length % 64 < 56 ? 64 : 128);
+        tail.set(bytes.subarray(full));
+        tail[bytes.length - full] = 0x80;
+        const tailView = new DataView(tail.buffer);
+        tailView.setUint32(tail.length - 8, (bytes.length * 8) >>> 0, true);
+        tailView.setUint32(tail.length - 4, Math.floor(bytes.length / 0x20000000), true);
+        for (let off = 0; off < tail.length; off += 64) block(tailView, off);
+
+        return state.map(word => {
+            let out = '';
+            for (let i = 0; i < 4; i++) out += ((word >>> (i * 8)) & 0xff).toString(16).padStart(2, '0');
+            return out;
+        }).join('');
+    }
+};
+
+// === DOWNLOAD VERIFIER ===
+class DownloadVerifier {
+    // Parses coreutils ("hash  file"), BSD ("SHA256 (file) = hash") and bare-hash checksum files
+    static parseChecksums(text, fileName) {
+        const entries = [];
+        for (const raw of String(text).split(/\r?\n/)) {
+            const line = raw.trim();
+            let m = /^([0-9a-f]{32}|[0-9a-f]{40}|[0-9a-f]{64})(?:\s+\*?(.+))?$/i.exec(line);
+            if (m) {
+                const name = m[2] ? m[2].trim().replace(/^.*[\\/]/, '') : fileName.replace(DownloadVerifier.CHECKSUM_FILE, '').replace(/[._-]$/, '');
+                entries.push({ name, algorithm: Hashing.BY_LENGTH[m[1].length], hash: m[1].toLowerCase() });
+                continue;
+            }
+            m = /^(SHA256|SHA1|MD5)\s*\((.+)\)\s*=\s*([0-9a-f]+)$/i.exec(line);
+            if (m && Hashing.BY_LENGTH[m[3].length] === m[1].toLowerCase()) {
+                entries.push({ name: m[2].replace(/^.*[\\/]/, ''), algorithm: m[1].toLowerCase(), hash: m[3].toLowerCase() });
+            }
         }
+        return entries;
     }
 
-    renderContributors() {
-        const container = document.getElementById('contributors-list');
-        if (!container || !this.contributors) return;
-        container.innerHTML = this.contributors.map(c => `
-            <a href="${c.url}" target="_blank" class="contributor-item" title="${c.login} (${c.contributions} commits)">
-                <img class="contributor-avatar" src="${c.avatar}" alt="${c.login}" width="40" height="40" loading="lazy">
-                <span class="contributor-name">${c.login}</span>
-            </a>
-        `).join('');
+    // GitHub publishes asset digests as "sha256:<hex>"
+    static parseDigest(digest) {
+        const m = /^(sha256|sha1|md5):([0-9a-f]+)$/i.exec(digest || '');
+        return m ? { algorithm: m[1].toLowerCase(), hash: m[2].toLowerCase() } : null;
     }
 
-    // --- Languages ---
-    async loadLanguages() {
-        const cached = CacheManager.get('languages');
-        if (cached) {
-            this.languages = cached;
-            this.renderLanguages();
+    constructor(api) {
+        this.api = api;
+        this.zone = document.getElementById('verify-dropzone');
+        this.input = document.getElementById('verify-input');
+        this.output = document.getElementById('verify-result');
+        if (!this.zone || !this.input || !this.output) return;
+        this.checksumFiles = new Map();
+        this.bind();
+    }
+
+    bind() {
+        ['dragenter', 'dragover'].forEach(type => this.zone.addEventListener(type, (e) => {
+            e.preventDefault();
+            this.zone.classList.add('dragging');
+        }));
+        ['dragleave', 'drop'].forEach(type => this.zone.addEventListener(type, () => {
+            this.zone.classList.remove('dragging');
+        }));
+        this.zone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) this.verify(file);
+        });
+        this.zone.addEventListener('click', () => this.input.click());
+        this.zone.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.input.click();
+            }
+        });
+        this.input.addEventListener('change', () => {
+            if (this.input.files[0]) this.verify(this.input.files[0]);
+            this.input.value = '';
+        });
+    }
+
+    async verify(file) {
+        this.file = file;
+        if (file.size > CONFIG.VERIFY_MAX_SIZE) {
+            this.renderMessage(I18n.t('{file} is larger than {size}.', { file: file.name, size: Utils.formatBytes(CONFIG.VERIFY_MAX_SIZE) }));
+            return;
+        }
+        if (!window.crypto || !crypto.subtle) {
+            this.renderMessage(I18n.t('Hashing needs a secure (HTTPS) page.'));
             return;
         }
+        this.renderMessage(I18n.t('Hashing {file}…', { file: file.name }));
         try {
-            const resp = await fetch(
-                `${CONFIG.GITHUB_API}/repos/${CONFIG.GITHUB_REPO}/languages`
-            );
-            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-            const data = await resp.json();
-            const total = Object.values(data).reduce((a, b) => a + b, 0);
-            this.languages = Object.entries(data).map(([name, bytes]) => ({
-                name,
-                percent: ((bytes / total) * 100).toFixed(1)
-            })).sort((a, b) => b.percent - a.percent);
-            CacheManager.set('languages', this.languages);
-            this.renderLanguages();
+            const [hashes, releases] = await Promise.all([
+                file.arrayBuffer().then(buffer => Hashing.digest(buffer)),
+                this.api.loadReleases()
+            ]);
+            if (file !== this.file) return;
+            const verdict = releases
+                ? await this.compare(file, hashes, releases)
+                : { status: 'unknown', message: I18n.t('The release list could not be loaded, so there is nothing to compare against.') };
+            if (file !== this.file) return;
+            this.render(file, hashes, verdict);
         } catch (e) {
-            Utils.log('Languages fetch error:', e);
+            Utils.log('Verify error:', e);
+            this.renderMessage(I18n.t('{file} could not be hashed.', { file: file.name }));
         }
     }
 
-    renderLanguages() {
-        const bar = document.getElementById('languages-bar');
-        const legend = document.getElementById('languages-legend');
-        if (!bar || !this.languages) return;
+    async compare(file, hashes, releases) {
+        const assets = releases.flatMap(release => release.assets.map(asset => ({ asset, release })));
+        const byName = assets.filter(({ asset }) => asset.name === file.name);
+        // Browsers rename repeated downloads ("file (1).zip"), so fall back to the size
+        const candidates = byName.length ? byName : assets.filter(({ asset }) => asset.size === file.size);
 
-        const colors = {
-            'C++': '#f34b7d', 'C': '#555555', 'JavaScript': '#f1e05a',
-            'Python': '#3572A5', 'QMake': '#40d47e', 'Shell': '#89e051',
-            'Batchfile': '#C1F12E', 'CMake': '#DA3434', 'NSIS': '#A9BF58',
-            'Makefile': '#427819', 'HTML': '#e34c26', 'CSS': '#563d7c',
-            'TypeScript': '#3178c6', 'Java': '#b07219', 'Ruby': '#701516'
-        };
-        const fallbackColors = ['#8b5cf6', '#06b6d4', '#f59e0b', '#ef4444', '#10b981', '#ec4899'];
+        let mismatch = null;
+        for (const candidate of candidates) {
+            const published = await this.publishedHashes(candidate);
+            for (const p of published) {
+                if (hashes[p.algorithm] === p.hash) {
+                    return { status: 'pass', ...candidate, ...p };
+                }
+                if (!mismatch && candidate.asset.size === file.size) mismatch = { ...candidate, ...p };
+            }
+        }
 
-        bar.innerHTML = this.languages.map((l, i) => {
-            const color = colors[l.name] || fallbackColors[i % fallbackColors.length];
-            return `<div class="lang-segment" style="width:${l.percent}%;background:${color}" title="${l.name}: ${l.percent}%"></div>`;
-        }).join('');
+        // Renamed file whose content matches a published digest
+        for (const candidate of assets) {
+            const p = DownloadVerifier.parseDigest(candidate.asset.digest);
+            if (p && hashes[p.algorithm] === p.hash) return { status: 'pass', ...candidate, ...p, source: 'GitHub asset digest' };
+        }
 
-        if (legend) {
-            legend.innerHTML = this.languages.slice(0, 6).map((l, i) => {
-                const color = colors[l.name] || fallbackColors[i % fallbackColors.length];
-                return `<span class="lang-item"><span class="lang-dot" style="background:${color}"></span>${l.name} <span class="lang-percent">${l.percent}%</span></span>`;
-            }).join('');
+        if (mismatch) return { status: 'fail', ...mismatch };
+        if (byName.length && !byName.some(({ asset }) => asset.size === file.size)) {
+            return { status: 'fail', ...byName[0], message: I18n.t('The size differs from the published {size}: the download is incomplete or altered.', { size: Utils.formatBytes(byName[0].asset.size) }) };
+        }
+        if (candidates.length) {
+            return { status: 'unknown', ...candidates[0], message: I18n.t('The file matches a release asset by name and size, but no checksum is published for it.') };
         }
+        return { status: 'unknown', message: I18n.t('No asset in the {repo} releases matches this file.', { repo: CONFIG.GITHUB_RELEASES_REPO }) };
     }
 
-    // --- Latest Release ---
-    async loadLatestRelease() {
-        const cached = CacheManager.get('latest_release');
-        if (cached) {
-            this.latestRelease = cached;
-            this.renderLatestRelease();
-            return;
+    async publishedHashes({ asset, release }) {
+        const published = [];
+        const digest = DownloadVerifier.parseDigest(asset.digest);
+        if (digest) published.push({ ...digest, source: 'GitHub asset digest' });
+        for (const file of release.assets.filter(a => a !== asset && DownloadVerifier.CHECKSUM_FILE.test(a.name))) {
+            const entries = await this.loadChecksumFile(file);
+            entries.filter(e => e.name === asset.name)
+                .forEach(e => published.push({ algorithm: e.algorithm, hash: e.hash, source: file.name }));
         }
+        return published;
+    }
+
+    // Asset downloads are fetched through the API, which allows cross-origin requests
+    async loadChecksumFile(asset) {
+        if (this.checksumFiles.has(asset.id)) return this.checksumFiles.get(asset.id);
+        let entries = [];
         try {
-            const resp = await fetch(
-                `${CONFIG.GITHUB_API}/repos/${CONFIG.GITHUB_RELEASES_REPO}/releases/latest`
-            );
+            const resp = await HttpClient.fetch(this.api.engine.url(`/releases/assets/${asset.id}`), {
+                headers: { Accept: 'application/octet-stream' }
+            });
             if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-            const data = await resp.json();
-            this.latestRelease = {
-                tag: data.tag_name,
-                name: data.name,
-                date: data.published_at,
-                url: data.html_url
-            };
-            CacheManager.set('latest_release', this.latestRelease);
-            this.renderLatestRelease();
+            entries = DownloadVerifier.parseChecksums(await resp.text(), asset.name);
         } catch (e) {
-            Utils.log('Latest release fetch error:', e);
+            Utils.log('Checksum file fetch error:', e);
         }
+        this.checksumFiles.set(asset.id, entries);
+        return entries;
     }
 
-    renderLatestRelease() {
-        const el = document.getElementById('latest-release-badge');
-        if (!el || !this.latestRelease) return;
-        const r = this.latestRelease;
-        el.innerHTML = `<a href="${r.url}" target="_blank" class="release-badge-link">
-            <svg class="release-badge-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/></svg>
-            <span class="release-badge-text">${r.tag}</span>
-            <span class="release-badge-date">${Utils.timeAgo(r.date)}</span>
-        </a>`;
-        el.style.display = 'inline-flex';
+    render(file, hashes, verdict) {
+        const titles = { pass: 'Verified', fail: 'Verification failed', unknown: 'Cannot verify' };
+        const source = verdict.source === 'GitHub asset digest' ? I18n.t('the digest GitHub publishes') : verdict.source;
+        let message = verdict.message;
+        if (!message && verdict.status === 'pass') {
+            message = I18n.t('{algorithm} matches {source} for this asset.', { algorithm: Hashing.NAMES[verdict.algorithm], source });
+        } else if (!message) {
+            message = I18n.t('{algorithm} does not match {source}. Do not run this file.', { algorithm: Hashing.NAMES[verdict.algorithm], source });
+        }
+        Template.render(this.output, html`
+            <div class="verify-verdict verify-${verdict.status}">
+                <strong>${I18n.t(titles[verdict.status])}</strong>
+                <p>${message}</p>
+                ${verdict.asset ? html`
+                    <p class="verify-asset">
+                        ${verdict.asset.name} · ${Utils.formatBytes(verdict.asset.size)} ·
+                        <a href="${verdict.release.url}" target="_blank" rel="noopener">${verdict.release.name || verdict.release.tag}</a>
+                    </p>
+                ` : ''}
+            </div>
+            <div class="inspector-card">
+                <div class="inspector-file">
+                    <span class="inspector-file-name">${file.name}</span>
+                    <span class="inspector-file-size">${Utils.formatBytes(file.size)}</span>
+                </div>
+                <table class="inspector-table verify-hashes">
+                    <tbody>
+                        ${Object.keys(Hashing.NAMES).map(algorithm => html`
+                            <tr class="${verdict.algorithm === algorithm ? `verify-${verdict.status}` : ''}">
+                                <th>${Hashing.NAMES[algorithm]}</th>
+                                <td><code>${hashes[algorithm]}</code></td>
+                            </tr>
+                        `)}
+                        ${verdict.status === 'fail' && verdict.hash ? html`
+                            <tr class="verify-fail">
+                                <th>${I18n.t('Expected')}</th>
+                                <td><code>${verdict.hash}</code></td>
+                            </tr>
+                        ` : ''}
+                    </tbody>
+                </table>
+            </div>
+        `);
     }
 
-    updateEl(id, value) {
-        const el = document.getElementById(id);
-        if (!el) return;
-        if (el.textContent === value) return;
-        el.style.transition = 'transform 0.3s ease, opacity 0.3s ease';
-        el.style.transform = 'scale(0.85)';
-        el.style.opacity = '0';
-        setTimeout(() => {
-            el.textContent = value;
-            el.style.transform = 'scale(1)';
-            el.style.opacity = '1';
-        }, 150);
+    renderMessage(text) {
+        Template.render(this.output, html`<div class="inspector-message">${text}</div>`);
     }
 }
 
+DownloadVerifier.CHECKSUM_FILE = /(^|[._-])(sha(1|256)|md5)(sums?)?(\.txt)?$|checksums?(\.txt)?$/i;
+
+// === MOTION ===
+// Effects check Motion.reduced when they run, so a prefers-reduced-motion
+// change applies without a reload
+const Motion = {
+    query: window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null,
+
+    get reduced() {
+        return Boolean(this.query && this.query.matches);
+    },
+
+    // Calls fn with the current setting and again whenever it changes
+    watch(fn) {
+        fn(this.reduced);
+        if (this.query && this.query.addEventListener) {
+            this.query.addEventListener('change', () => fn(this.reduced));
+        }
+    }
+};
+
+// === ANNOUNCER ===
+// One polite live region for changes that happen outside any status line
+const Announcer = {
+    region: null,
+
+    say(text) {
+        if (!this.region) {
+            this.region = document.createElement('div');
+            this.region.className = 'sr-only';
+            this.region.setAttribute('role', 'status');
+            this.region.setAttribute('aria-live', 'polite');
+            document.body.appendChild(this.region);
+        }
+        // Screen readers skip a region whose text did not change, so clear it first
+        this.region.textContent = '';
+        setTimeout(() => { this.region.textContent = text; }, 100);
+    }
+};
+
 // === PRELOADER ===
 class Preloader {
     constructor() {
@@ -470,38 +5071,57 @@ class Preloader {
 }
 
 // === SCROLL ANIMATIONS ===
+// Elements are only hidden once an observer exists to show them again, and
+// everything is shown if it never reports back
 class ScrollAnimations {
     constructor() {
+        if (Motion.reduced || !('IntersectionObserver' in window)) return;
+        this.fired = false;
         this.observer = new IntersectionObserver(
             (entries) => this.onIntersect(entries),
             { threshold: CONFIG.ANIMATION_THRESHOLD, rootMargin: '0px 0px -50px 0px' }
         );
         this.observe();
+        setTimeout(() => { if (!this.fired) this.revealAll(); }, ScrollAnimations.FALLBACK_DELAY);
+        Motion.watch(reduced => { if (reduced) this.revealAll(); });
     }
 
     observe() {
-        document.querySelectorAll(
+        this.elements = Array.from(document.querySelectorAll(
             '.fade-in, .fade-in-up, .scroll-reveal, .feature-card, .stat-card, .use-case-card, .partner-card, .os-item'
-        ).forEach((el, i) => {
-            el.style.opacity = '0';
-            el.style.transform = 'translateY(30px)';
-            el.style.transition = `opacity 0.6s cubic-bezier(0.34,1.56,0.64,1) ${i * 0.04}s, transform 0.6s cubic-bezier(0.34,1.56,0.64,1) ${i * 0.04}s`;
+        ));
+        this.elements.forEach((el, i) => {
+            el.classList.add('reveal');
+            el.style.transitionDelay = `${i * 0.04}s`;
             this.observer.observe(el);
         });
     }
 
     onIntersect(entries) {
+        this.fired = true;
         entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                entry.target.style.opacity = '1';
-                entry.target.style.transform = 'translateY(0)';
-                entry.target.classList.add('visible');
-                this.observer.unobserve(entry.target);
-            }
+            if (entry.isIntersecting) this.reveal(entry.target);
         });
     }
+
+    reveal(el) {
+        this.observer.unobserve(el);
+        if (!el.classList.contains('reveal')) return;
+        el.classList.add('visible');
+        // Afterwards the element's own hover transforms and transitions apply again
+        el.addEventListener('transitionend', () => {
+            el.classList.remove('reveal');
+            el.style.transitionDelay = '';
+        }, { once: true });
+    }
+
+    revealAll() {
+        this.elements.forEach(el => this.reveal(el));
+    }
 }
 
+ScrollAnimations.FALLBACK_DELAY = 2000;
+
 // === NAVBAR SCROLL ===
 class NavbarScroll {
     constructor() {
@@ -516,8 +5136,7 @@ class NavbarScroll {
         const shouldScroll = window.pageYOffset > 50;
         if (shouldScroll !== this.scrolled) {
             this.scrolled = shouldScroll;
-            this.navbar.style.background = shouldScroll ? 'rgba(10,10,10,0.9)' : '';
-            this.navbar.style.boxShadow = shouldScroll ? '0 8px 32px rgba(0,0,0,0.4)' : '';
+            this.navbar.classList.toggle('scrolled', shouldScroll);
         }
     }
 }
@@ -534,6 +5153,7 @@ class CardTilt {
     }
 
     move(e, card) {
+        if (Motion.reduced) return;
         const rect = card.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
@@ -561,7 +5181,7 @@ class Parallax {
         if (!this.hero || !this.orbs.length) return;
         let raf = null;
         this.hero.addEventListener('mousemove', (e) => {
-            if (raf) return;
+            if (raf || Motion.reduced) return;
             raf = requestAnimationFrame(() => {
                 const rect = this.hero.getBoundingClientRect();
                 const mx = e.clientX - rect.left - rect.width / 2;
@@ -588,6 +5208,7 @@ class ButtonRipple {
     constructor() {
         document.querySelectorAll('.btn-primary, .btn-secondary').forEach(btn => {
             btn.addEventListener('click', function(e) {
+                if (Motion.reduced) return;
                 const ripple = document.createElement('span');
                 ripple.classList.add('ripple');
                 const rect = this.getBoundingClientRect();
@@ -612,19 +5233,323 @@ class SmoothScroll {
                 const target = document.querySelector(href);
                 if (target) {
                     e.preventDefault();
-                    window.scrollTo({ top: target.offsetTop - 80, behavior: 'smooth' });
+                    SmoothScroll.to(target, href);
                 }
             });
         });
     }
+
+    // Also used by CommandPalette for targets without a link
+    static to(target, hash = target.id ? `#${target.id}` : null) {
+        window.scrollTo({ top: target.getBoundingClientRect().top + window.pageYOffset - 80, behavior: Motion.reduced ? 'auto' : 'smooth' });
+        // Keyboard and screen reader users continue from the target
+        if (!target.matches('a, button, input, select, textarea, [tabindex]')) target.setAttribute('tabindex', '-1');
+        target.focus({ preventScroll: true });
+        if (hash) history.replaceState(null, '', hash);
+    }
+}
+
+// === COMMAND PALETTE ===
+// Ctrl+K (or "/") searches everything the page knows about. Each source is a
+// provider registered under a name:
+//   CommandPalette.register('releases', { label, items() })
+// items() returns [{ title, subtitle, keywords, preview(), run() }] from data
+// that is already loaded, so an index only shows up once it exists; preview()
+// may return a promise of markup.
+class CommandPalette {
+    static register(name, provider) {
+        CommandPalette.providers.set(name, provider);
+    }
+
+    constructor(api) {
+        this.api = api;
+        this.dialog = null;
+        this.results = [];
+        this.active = 0;
+        this.previewToken = 0;
+
+        CommandPalette.register('sections', {
+            label: 'On this page',
+            items: () => CommandPalette.sections()
+        });
+        CommandPalette.register('releases', {
+            label: 'Releases',
+            items: () => (api.releases || []).filter(r => !r.draft).map(r => ({
+                title: r.name || r.tag,
+                subtitle: `${r.tag} · ${I18n.date(r.date)}`,
+                keywords: r.tag,
+                preview: () => html`
+                    <div class="palette-preview-title">${r.name || r.tag}</div>
+                    <div class="palette-preview-meta">${r.tag} · ${I18n.date(r.date)}${r.prerelease ? html` · ${I18n.t('Pre-release')}` : ''}</div>
+                    <div class="markdown">${r.body.trim() ? Template.raw(Markdown.render(r.body, { headingOffset: 3 })) : html`<p>${I18n.t('No release notes.')}</p>`}</div>
+                `,
+                run: () => CommandPalette.openRelease(r.tag)
+            }))
+        });
+        CommandPalette.register('contributors', {
+            label: 'Contributors',
+            items: () => (api.contributors || []).filter(c => c.url).map(c => ({
+                title: c.name,
+                subtitle: I18n.n('{count} commit', '{count} commits', c.contributions),
+                keywords: Object.keys(c.repos).join(' '),
+                preview: () => html`
+                    <div class="palette-preview-person">
+                        ${c.avatar ? html`<img src="${c.avatar}" alt="" width="48" height="48" loading="lazy">` : ''}
+                        <div>
+                            <div class="palette-preview-title">${c.name}</div>
+                            <div class="palette-preview-meta">${I18n.n('{count} commit', '{count} commits', c.contributions)}</div>
+                        </div>
+                    </div>
+                    <ul class="palette-preview-list">${Object.entries(c.repos).sort((a, b) => b[1] - a[1]).map(([repo, count]) => html`
+                        <li><span>${repo}</span><span>${I18n.number().format(count)}</span></li>
+                    `)}</ul>
+                `,
+                run: () => window.open(c.url, '_blank', 'noopener')
+            }))
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                if (this.dialog && this.dialog.open) this.close();
+                else this.open();
+            } else if (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !CommandPalette.isEditable(e.target)) {
+                e.preventDefault();
+                this.open();
+            }
+        });
+        document.querySelectorAll('[data-palette-open]').forEach(button => {
+            button.addEventListener('click', () => this.open());
+            button.hidden = false;
+        });
+    }
+
+    static isEditable(el) {
+        return el instanceof Element && (el.isContentEditable || el.matches('input, textarea, select'));
+    }
+
+    // Section headings, plus the titled blocks inside them (#detections, #sigdb...)
+    static sections() {
+        return Array.from(document.querySelectorAll(CommandPalette.HEADINGS)).map(heading => {
+            const section = heading.closest('section');
+            const owner = heading.parentElement.closest('[id]');
+            const target = heading.id ? heading : owner && section && section.contains(owner) ? owner : section || heading;
+            const summary = heading.parentElement.querySelector('p');
+            const label = section && section.querySelector('.section-label');
+            return {
+                title: heading.textContent.trim(),
+                subtitle: label && label !== heading ? label.textContent.trim() : '',
+                keywords: target.id || '',
+                preview: () => html`
+                    <div class="palette-preview-title">${heading.textContent.trim()}</div>
+                    ${summary ? html`<p>${summary.textContent.trim()}</p>` : ''}
+                `,
+                // Headings that carry their own link (the wiki's) are opened through it
+                run: () => {
+                    const link = heading.querySelector('.md-anchor');
+                    if (link) location.href = link.href;
+                    else SmoothScroll.to(target);
+                }
+            };
+        }).filter(item => item.title);
+    }
+
+    // The changelog page scrolls to the card itself (ReleaseHistory.applyHash)
+    static openRelease(tag) {
+        const hash = `#${encodeURIComponent(ReleaseHistory.anchor(tag))}`;
+        if (document.getElementById('changelog')) location.hash = hash;
+        else location.href = new URL(`changelog.html${hash}`, CONFIG.SITE_ROOT).href;
+    }
+
+    // Characters of the query must appear in order; runs, word starts and a
+    // matching prefix score higher. -1 means no match.
+    static score(query, text) {
+        const t = text.toLowerCase();
+        let score = 0;
+        let from = 0;
+        let run = 0;
+        for (const ch of query) {
+            const i = t.indexOf(ch, from);
+            if (i < 0) return -1;
+            run = i === from ? run + 1 : 0;
+            score += 1 + run * 2;
+            if (i === 0 || /[\s\-_./()]/.test(t[i - 1])) score += 3;
+            from = i + 1;
+        }
+        if (t.startsWith(query)) score += 10;
+        return score - t.length / 100;
+    }
+
+    // Every word of the query has to match the title or the keywords
+    static match(item, words) {
+        let total = 0;
+        for (const word of words) {
+            const score = Math.max(CommandPalette.score(word, item.title) * 2, CommandPalette.score(word, `${item.subtitle || ''} ${item.keywords || ''}`));
+            if (score < 0) return -1;
+            total += score;
+        }
+        return total;
+    }
+
+    search(query) {
+        const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        const groups = [];
+        CommandPalette.providers.forEach((provider, name) => {
+            let items;
+            try {
+                items = provider.items() || [];
+            } catch (e) {
+                Utils.log('Palette provider error:', name, e);
+                return;
+            }
+            if (words.length) {
+                items = items
+                    .map(item => ({ item, score: CommandPalette.match(item, words) }))
+                    .filter(r => r.score >= 0)
+                    .sort((a, b) => b.score - a.score)
+                    .map(r => r.item);
+            }
+            if (items.length) groups.push({ name, label: provider.label, items: items.slice(0, CommandPalette.GROUP_LIMIT) });
+        });
+        return groups;
+    }
+
+    build() {
+        this.dialog = document.createElement('dialog');
+        this.dialog.className = 'palette';
+        this.dialog.setAttribute('aria-label', I18n.t('Search the site'));
+        Template.render(this.dialog, html`
+            <div class="palette-search">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <circle cx="11" cy="11" r="7"/>
+                    <line x1="21" y1="21" x2="16.65" y2="16.65"/>
+                </svg>
+                <input type="text" class="palette-input" role="combobox" aria-expanded="true" aria-controls="palette-results" aria-autocomplete="list"
+                    autocomplete="off" spellcheck="false" placeholder="${I18n.t('Search sections, releases, contributors and signatures')}" aria-label="${I18n.t('Search the site')}">
+                <kbd>Esc</kbd>
+            </div>
+            <div class="palette-body">
+                <ul class="palette-results" id="palette-results" role="listbox" aria-label="${I18n.t('Results')}"></ul>
+                <div class="palette-preview" aria-hidden="true"></div>
+            </div>
+            <div class="palette-status" aria-live="polite"></div>
+        `);
+        document.body.appendChild(this.dialog);
+        this.input = this.dialog.querySelector('.palette-input');
+        this.list = this.dialog.querySelector('.palette-results');
+        this.preview = this.dialog.querySelector('.palette-preview');
+        this.status = this.dialog.querySelector('.palette-status');
+
+        this.input.addEventListener('input', Utils.debounce(() => this.update(), 60));
+        this.input.addEventListener('keydown', (e) => this.onKey(e));
+        this.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option && Number(option.dataset.index) !== this.active) this.select(Number(option.dataset.index));
+        });
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) this.run(Number(option.dataset.index));
+        });
+        // A click on the backdrop lands on the dialog element itself
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        });
+        this.dialog.addEventListener('close', () => {
+            if (this.returnFocus && this.returnFocus.isConnected) this.returnFocus.focus({ preventScroll: true });
+        });
+    }
+
+    open() {
+        if (!this.dialog) this.build();
+        if (this.dialog.open) return;
+        this.returnFocus = document.activeElement;
+        this.dialog.showModal();
+        this.input.select();
+        this.update();
+    }
+
+    close() {
+        if (this.dialog && this.dialog.open) this.dialog.close();
+    }
+
+    onKey(e) {
+        const count = this.results.length;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (count) this.select((this.active + (e.key === 'ArrowDown' ? 1 : count - 1)) % count);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (count) this.run(this.active);
+        }
+    }
+
+    update() {
+        const query = this.input.value;
+        const groups = this.search(query);
+        this.results = groups.flatMap(g => g.items);
+        let index = 0;
+        Template.render(this.list, groups.map(g => html`
+            <li role="presentation" class="palette-group" data-key="${g.name}">${I18n.t(g.label)}</li>
+            ${g.items.map(item => {
+                const i = index++;
+                return html`<li role="option" id="palette-option-${i}" class="palette-option" data-index="${i}" aria-selected="false">
+                    <span class="palette-option-title">${item.title}</span>
+                    ${item.subtitle ? html`<span class="palette-option-subtitle">${item.subtitle}</span>` : ''}
+                </li>`;
+            })}
+        `));
+        this.status.textContent = this.results.length ? I18n.n('{count} result', '{count} results', this.results.length)
+            : query.trim() ? I18n.t('Nothing matches “{query}”.', { query: query.trim() }) : '';
+        this.select(0);
+    }
+
+    select(index) {
+        this.active = index;
+        this.list.querySelectorAll('.palette-option').forEach(el => {
+            const selected = Number(el.dataset.index) === index;
+            el.setAttribute('aria-selected', String(selected));
+            if (selected) el.scrollIntoView({ block: 'nearest' });
+        });
+        if (this.results.length) this.input.setAttribute('aria-activedescendant', `palette-option-${index}`);
+        else this.input.removeAttribute('aria-activedescendant');
+        this.showPreview(this.results[index]);
+    }
+
+    async showPreview(item) {
+        const token = ++this.previewToken;
+        if (!item || !item.preview) {
+            Template.render(this.preview, '');
+            return;
+        }
+        try {
+            const content = await item.preview();
+            if (token === this.previewToken) Template.render(this.preview, content);
+        } catch (e) {
+            Utils.log('Palette preview error:', e);
+            if (token === this.previewToken) Template.render(this.preview, '');
+        }
+    }
+
+    run(index) {
+        const item = this.results[index];
+        if (!item) return;
+        this.close();
+        item.run();
+    }
 }
 
+CommandPalette.providers = new Map();
+CommandPalette.HEADINGS = 'main section :is(h1, h2), main section [id] > h3';
+CommandPalette.GROUP_LIMIT = 6;
+
 // === LAZY LOADER ===
 class LazyLoader {
     constructor() {
         const imgs = document.querySelectorAll('img[data-src]');
         if ('loading' in HTMLImageElement.prototype) {
             imgs.forEach(img => { img.src = img.dataset.src; img.loading = 'lazy'; });
+        } else if (!('IntersectionObserver' in window)) {
+            imgs.forEach(img => { img.src = img.dataset.src; });
         } else {
             const obs = new IntersectionObserver(entries => {
                 entries.forEach(e => { if (e.isIntersecting) { e.target.src = e.target.dataset.src; obs.unobserve(e.target); } });
@@ -635,13 +5560,38 @@ class LazyLoader {
 }
 
 // === INITIALIZATION ===
-document.addEventListener('DOMContentLoaded', () => {
-    CacheManager.clearOld();
-
+document.addEventListener('DOMContentLoaded', async () => {
     new Preloader();
+    Theme.init();
+    Offline.init();
+
+    await Promise.all([CacheManager.init(), I18n.init()]);
+    Theme.bindToggles();
+    Offline.update();
+    CacheManager.clearOld();
 
     const api = new GitHubAPI();
-    api.init();
+    new DataBindings(api).start();
+    new CommandPalette(api);
+    CommandPalette.register('wiki', { label: 'Documentation', items: () => Wiki.items() });
+    const changelog = document.getElementById('changelog');
+    if (changelog) new ReleaseHistory(changelog, api);
+    const docs = document.getElementById('docs');
+    if (docs) new DocsReader(docs);
+    const commits = document.getElementById('commits');
+    if (commits) new CommitsTracker(commits, api);
+    const issues = document.getElementById('issues');
+    if (issues) new IssuesFeed(issues, api);
+    const contributors = document.getElementById('contributors');
+    if (contributors) new ContributorsList(contributors, api);
+
+    new BinaryInspector();
+    new DownloadVerifier(api);
+    new SignatureBrowser();
+    const editor = document.getElementById('sg-editor');
+    if (editor) new SignatureEditor(editor);
+    const detections = document.getElementById('detections');
+    if (detections) new DetectionsFeed(detections, api);
 
     setTimeout(() => {
         new ScrollAnimations();
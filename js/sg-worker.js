@@ -0,0 +1,287 @@
+// ============================================
+// DETECT IT EASY - SIGNATURE WORKER
+// Runs DIE .sg detection scripts against a file
+// No DOM, no network: scripts only see the API below
+// ============================================
+
+'use strict';
+
+const post = self.postMessage.bind(self);
+
+// Take everything a script could use to leave the sandbox away before any
+// script runs. Most of it is inherited (WorkerGlobalScope.prototype and up),
+// and Function('return this')() still reaches the global from sloppy code,
+// so it goes from every prototype in the chain as well as from self.
+const BLOCKED = ['fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'importScripts', 'indexedDB', 'caches',
+    'Worker', 'SharedWorker', 'BroadcastChannel', 'postMessage'];
+for (let scope = self; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+    BLOCKED.forEach(name => {
+        if (scope !== self && !Object.prototype.hasOwnProperty.call(scope, name)) return;
+        try {
+            Object.defineProperty(scope, name, { value: undefined, configurable: false, writable: false });
+        } catch { /* skip */ }
+    });
+}
+
+// === SIGNATURE MATCHING ===
+// DIE signature syntax: hex bytes, ".." / "??" any byte, "?" any nibble,
+// '...' literal text, "$$" / "$$$$$$$$" follow a rel8 / rel32 jump.
+const Signature = {
+    cache: new Map(),
+
+    compile(sig) {
+        if (this.cache.has(sig)) return this.cache.get(sig);
+        const tokens = [];
+        const src = sig.replace(/\s+(?=(?:[^']*'[^']*')*[^']*$)/g, '');
+        let i = 0;
+        while (i < src.length) {
+            const c = src[i];
+            if (c === "'") {
+                const end = src.indexOf("'", i + 1);
+                const text = src.slice(i + 1, end < 0 ? src.length : end);
+                for (const ch of text) tokens.push({ value: ch.charCodeAt(0) & 0xFF, mask: 0xFF });
+                i = end < 0 ? src.length : end + 1;
+            } else if (src.startsWith('$$$$$$$$', i)) {
+                tokens.push({ jump: 4 });
+                i += 8;
+            } else if (src.startsWith('$$', i)) {
+                tokens.push({ jump: 1 });
+                i += 2;
+            } else {
+                const pair = src.substr(i, 2);
+                if (pair.length < 2) throw new Error(`Bad signature: ${sig}`);
+                let value = 0;
+                let mask = 0;
+                for (let n = 0; n < 2; n++) {
+                    const ch = pair[n];
+                    value <<= 4;
+                    mask <<= 4;
+                    if (/[0-9A-Fa-f]/.test(ch)) {
+                        value |= parseInt(ch, 16);
+                        mask |= 0xF;
+                    } else if (!/[.?#]/.test(ch)) {
+                        throw new Error(`Bad signature: ${sig}`);
+                    }
+                }
+                tokens.push({ value, mask });
+                i += 2;
+            }
+        }
+        this.cache.set(sig, tokens);
+        return tokens;
+    },
+
+    match(bytes, offset, sig) {
+        if (offset < 0) return false;
+        const tokens = this.compile(sig);
+        let pos = offset;
+        for (const t of tokens) {
+            if (t.jump) {
+                if (pos + t.jump > bytes.length) return false;
+                const view = new DataView(bytes.buffer, bytes.byteOffset);
+                const rel = t.jump === 4 ? view.getInt32(pos, true) : view.getInt8(pos);
+                pos = pos + t.jump + rel;
+                if (pos < 0) return false;
+                continue;
+            }
+            if (pos >= bytes.length) return false;
+            if ((bytes[pos] & t.mask) !== (t.value & t.mask)) return false;
+            pos++;
+        }
+        return true;
+    },
+
+    find(bytes, offset, size, sig) {
+        const end = Math.min(bytes.length, offset + size);
+        for (let i = Math.max(0, offset); i < end; i++) {
+            if (this.match(bytes, i, sig)) return i;
+        }
+        return -1;
+    }
+};
+
+// === SCRIPTING API ===
+function createApi(bytes, info, fileName, results) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const inRange = (offset, size) => offset >= 0 && offset + size <= bytes.length;
+    const format = info ? info.format : 'Binary';
+    const sections = (info && info.sections) || [];
+    const libraries = (info && info.libraries) || [];
+    const entryOffset = info ? info.entryOffset : -1;
+
+    const read = (fn, size) => (offset, bigEndian) => inRange(offset, size) ? fn(offset, !bigEndian) : 0;
+
+    const Binary = {
+        getSize: () => bytes.length,
+        compare: (sig, offset = 0) => Signature.match(bytes, offset, sig),
+        isSignaturePresent: (offset, size, sig) => Signature.find(bytes, offset, size, sig) !== -1,
+        findSignature: (offset, size, sig) => Signature.find(bytes, offset, size, sig),
+        findString(offset, size, text) {
+            const hex = Array.from(text, ch => (ch.charCodeAt(0) & 0xFF).toString(16).padStart(2, '0')).join('');
+            return Signature.find(bytes, offset, size, hex);
+        },
+        read_uint8: (offset) => inRange(offset, 1) ? bytes[offset] : 0,
+        read_int8: (offset) => inRange(offset, 1) ? view.getInt8(offset) : 0,
+        read_uint16: read((o, le) => view.getUint16(o, le), 2),
+        read_int16: read((o, le) => view.getInt16(o, le), 2),
+        read_uint32: read((o, le) => view.getUint32(o, le), 4),
+        read_int32: read((o, le) => view.getInt32(o, le), 4),
+        read_uint64: read((o, le) => Number(view.getBigUint64(o, le)), 8),
+        read_ansiString(offset, maxSize = 256) {
+            let s = '';
+            for (let i = offset; inRange(i, 1) && i < offset + maxSize && bytes[i]; i++) s += String.fromCharCode(bytes[i]);
+            return s;
+        },
+        calculateEntropy(offset = 0, size = bytes.length) {
+            const end = Math.min(bytes.length, offset + size);
+            if (end <= offset) return 0;
+            const counts = new Array(256).fill(0);
+            for (let i = offset; i < end; i++) counts[bytes[i]]++;
+            let entropy = 0;
+            for (const c of counts) {
+                if (c) {
+                    const p = c / (end - offset);
+                    entropy -= p * Math.log2(p);
+                }
+            }
+            return entropy;
+        },
+        getFileBaseName: () => fileName.replace(/\.[^.]*$/, ''),
+        getFileSuffix: () => (fileName.match(/\.([^.]*)$/) || ['', ''])[1],
+        isHeuristicScan: () => false,
+        isDeepScan: () => true,
+        isVerbose: () => false
+    };
+
+    // Members shared by the PE, ELF and MACH objects; each only answers for its own format
+    const formatApi = (name) => {
+        const active = format === name;
+        const sectionIndex = (sectionName) => active ? sections.findIndex(s => s.name === sectionName || s.name.endsWith(',' + sectionName)) : -1;
+        return Object.assign(Object.create(Binary), {
+            compareEP: (sig, offset = 0) => active && entryOffset >= 0 && Signature.match(bytes, entryOffset + offset, sig),
+            getEntryPointOffset: () => active ? entryOffset : -1,
+            getNumberOfSections: () => active ? sections.length : 0,
+            getSectionName: (i) => active && sections[i] ? sections[i].name : '',
+            getSectionNumber: sectionIndex,
+            isSectionNamePresent: (sectionName) => sectionIndex(sectionName) !== -1,
+            getSectionFileOffset: (i) => active && sections[i] ? sections[i].offset : 0,
+            getSectionFileSize: (i) => active && sections[i] ? sections[i].size : 0,
+            isLibraryPresent: (lib) => active && libraries.some(l => l.name.toLowerCase() === String(lib).toLowerCase()),
+            is64: () => active && info.bits === 64,
+            is32: () => active && info.bits === 32
+        });
+    };
+
+    const PE = formatApi('PE');
+    const pe = (info && info.pe) || {};
+    const isPE = format === 'PE';
+    const overlayOffset = isPE ? sections.reduce((max, s) => Math.max(max, s.offset + s.size), 0) : 0;
+    Object.assign(PE, {
+        isPE: () => isPE,
+        isDll: () => isPE && (pe.characteristics & 0x2000) !== 0,
+        isNET: () => isPE && !!pe.isDotNet,
+        isConsole: () => isPE && info.subsystem === 'Windows console',
+        getMachineType: () => isPE ? pe.machine : 0,
+        getImageBase: () => isPE ? pe.imageBase : 0,
+        getAddressOfEntryPoint: () => isPE ? pe.entryRva : 0,
+        getMajorLinkerVersion: () => isPE ? parseInt(pe.linker, 10) : 0,
+        getMinorLinkerVersion: () => isPE ? parseInt(pe.linker.split('.')[1], 10) : 0,
+        getSectionVirtualAddress: (i) => isPE && sections[i] ? sections[i].address : 0,
+        getSectionVirtualSize: (i) => isPE && sections[i] ? sections[i].virtualSize : 0,
+        getSectionCharacteristics: (i) => isPE && sections[i] ? sections[i].flags : 0,
+        getEntryPointSection() {
+            if (!isPE) return -1;
+            return sections.findIndex(s => pe.entryRva >= s.address && pe.entryRva < s.address + Math.max(s.virtualSize, s.size));
+        },
+        getNumberOfImports: () => isPE ? libraries.length : 0,
+        getImportLibraryName: (i) => isPE && libraries[i] ? libraries[i].name : '',
+        getImportFunctionName: (i, j) => isPE && libraries[i] ? (libraries[i].functions[j] || '') : '',
+        isLibraryFunctionPresent(lib, fn) {
+            const l = isPE && libraries.find(x => x.name.toLowerCase() === String(lib).toLowerCase());
+            return !!l && l.functions.includes(fn);
+        },
+        isOverlayPresent: () => isPE && overlayOffset > 0 && overlayOffset < bytes.length,
+        getOverlayOffset: () => overlayOffset,
+        getOverlaySize: () => isPE ? Math.max(0, bytes.length - overlayOffset) : 0,
+        compareOverlay: (sig, offset = 0) => isPE && overlayOffset < bytes.length && Signature.match(bytes, overlayOffset + offset, sig)
+    });
+
+    const ELF = formatApi('ELF');
+    Object.assign(ELF, {
+        isELF: () => format === 'ELF',
+        getMachineType: () => format === 'ELF' ? info.elf.machine : 0
+    });
+
+    const MACH = formatApi('Mach-O');
+    Object.assign(MACH, {
+        isMACH: () => format === 'Mach-O',
+        getMachineType: () => format === 'Mach-O' ? info.mach.cpuType : 0
+    });
+
+    const _setResult = (type, name, version, options) => {
+        results.push({
+            type: String(type || ''),
+            name: String(name || ''),
+            version: String(version || ''),
+            options: String(options || '')
+        });
+    };
+    const _isResultPresent = (type, name) => results.some(r => r.type === type && (name === undefined || r.name === name));
+    const _log = (...args) => post({ type: 'log', message: args.map(String).join(' ') });
+
+    return { File: Binary, Binary, PE, ELF, MACH, _setResult, _isResultPresent, _log };
+}
+
+// Globals of the classic DIE script format, declared in the script's own scope
+const PRELUDE = `
+var bDetected = 0, sVersion = '', sOptions = '', sName = '', sType = '';
+function init(type, name) { sType = type; sName = name; }
+function meta(type, name) { init(type, name); }
+function result() {
+    if (bDetected) _setResult(sType, sName, sVersion, sOptions);
+    return bDetected ? sType + ': ' + sName : '';
+}
+`;
+
+const API_NAMES = ['File', 'Binary', 'PE', 'ELF', 'MACH', '_setResult', '_isResultPresent', '_log'];
+const SHADOWED = ['self', 'postMessage', 'onmessage', 'addEventListener', 'close', 'globalThis'];
+
+// includeScript() shares the caller's scope in DIE, so included files are inlined
+function expandIncludes(source, includes, depth = 0) {
+    return source.replace(/includeScript\s*\(\s*["']([^"']+)["']\s*\)\s*;?/g, (call, name) => {
+        const included = includes.get(name) || includes.get(`${name}.sg`);
+        if (included === undefined) throw new Error(`includeScript: ${name} not found`);
+        if (depth > 8) throw new Error('includeScript: nested too deeply');
+        return expandIncludes(included, includes, depth + 1);
+    });
+}
+
+// Strict mode keeps `this` undefined in detect() and other plain calls
+function runScript(script, api, includes) {
+    const factory = new Function(...API_NAMES, ...SHADOWED,
+        `'use strict';\n${PRELUDE}\n${expandIncludes(script.source, includes)}\n;return typeof detect === 'function' ? detect : null;`);
+    const detect = factory.apply({}, API_NAMES.map(n => api[n]));
+    // Files without detect() are helper libraries for includeScript()
+    if (detect) detect(true, true, true);
+}
+
+self.addEventListener('message', (e) => {
+    const { buffer, info, fileName, scripts, start } = e.data || {};
+    if (!buffer || !Array.isArray(scripts)) return;
+
+    const bytes = new Uint8Array(buffer);
+    const includes = new Map(scripts.map(s => [s.name.replace(/^.*\//, ''), s.source]));
+
+    for (let index = start || 0; index < scripts.length; index++) {
+        const script = scripts[index];
+        const results = [];
+        post({ type: 'start', index });
+        try {
+            runScript(script, createApi(bytes, info, fileName || '', results), includes);
+            post({ type: 'result', index, results });
+        } catch (err) {
+            post({ type: 'error', index, message: String(err && err.message || err) });
+        }
+    }
+    post({ type: 'done' });
+});
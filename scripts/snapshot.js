@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// ============================================
+// DETECT IT EASY - DATA SNAPSHOT
+// Collects the GitHub API data the site shows into data/*.json, so pages
+// still have real numbers when the API is unreachable or rate-limited.
+//
+// Usage: node scripts/snapshot.js [--api URL] [--out DIR]
+//   GITHUB_TOKEN  sent as a bearer token for a higher rate limit
+//   --api         API base (or GITHUB_API); point it at a local mock server
+//                 to test without GitHub
+//
+// Each file holds the raw API payload: { version, generatedAt, source, data }.
+// The client applies the same transforms as for live responses.
+// contributors.json maps each repository to its full contributor list.
+//
+// .github/workflows/pages.yml runs this on every deploy and every six hours;
+// test/snapshot.test.js runs it against a local mock API.
+// ============================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_VERSION = 2;
+
+function parseArgs(argv) {
+    const options = {
+        api: process.env.GITHUB_API || 'https://api.github.com',
+        out: path.join(__dirname, '..', 'data'),
+        repo: 'horsicq/Detect-It-Easy',
+        releasesRepo: 'horsicq/DIE-engine'
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const m = /^--(api|out|repo|releases-repo)$/.exec(argv[i]);
+        if (!m || argv[i + 1] === undefined) throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        const key = m[1] === 'releases-repo' ? 'releasesRepo' : m[1];
+        options[key] = argv[++i];
+    }
+    options.api = options.api.replace(/\/+$/, '');
+    return options;
+}
+
+async function request(url) {
+    const headers = { Accept: 'application/vnd.github+json', 'User-Agent': 'die-website-snapshot' };
+    if (process.env.GITHUB_TOKEN) headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+    const resp = await fetch(url, { headers });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status} for ${url}`);
+    return resp;
+}
+
+async function getJSON(url) {
+    return (await request(url)).json();
+}
+
+async function getPaged(url) {
+    const items = [];
+    for (let page = 1; page <= 20; page++) { // same safety limit as the client
+        const resp = await request(`${url}${url.includes('?') ? '&' : '?'}per_page=100&page=${page}`);
+        const data = await resp.json();
+        items.push(...data);
+        if (!/rel="next"/.test(resp.headers.get('Link') || '')) break;
+    }
+    return items;
+}
+
+function resources({ api, repo, releasesRepo }) {
+    return {
+        repo: () => getJSON(`${api}/repos/${repo}`),
+        releases: () => getPaged(`${api}/repos/${releasesRepo}/releases`),
+        'latest-release': () => getJSON(`${api}/repos/${releasesRepo}/releases/latest`),
+        commits: () => getJSON(`${api}/repos/${repo}/commits?per_page=20`),
+        contributors: async () => ({
+            [repo]: await getPaged(`${api}/repos/${repo}/contributors?anon=1`),
+            [releasesRepo]: await getPaged(`${api}/repos/${releasesRepo}/contributors?anon=1`)
+        }),
+        languages: () => getJSON(`${api}/repos/${repo}/languages`)
+    };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const generatedAt = new Date().toISOString();
+    fs.mkdirSync(options.out, { recursive: true });
+
+    let failed = 0;
+    for (const [name, load] of Object.entries(resources(options))) {
+        try {
+            const data = await load();
+            const file = path.join(options.out, `${name}.json`);
+            const snapshot = { version: SNAPSHOT_VERSION, generatedAt, source: options.api, data };
+            // Write then rename, so a failed run never leaves a truncated file
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot));
+            fs.renameSync(`${file}.tmp`, file);
+            console.log(`${name}: ok`);
+        } catch (e) {
+            failed++;
+            console.error(`${name}: ${e.message}`);
+        }
+    }
+    if (failed) process.exitCode = 1;
+}
+
+main().catch(e => {
+    console.error(e.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,127 @@
+// ============================================
+// DETECT IT EASY - SERVICE WORKER
+// Keeps the site usable on flaky or no network: the shell is precached and
+// refreshed in the background, GitHub data goes to the network first and
+// falls back to the last copy that came back
+// ============================================
+
+'use strict';
+
+// Bump SHELL_CACHE when SHELL changes; edited files are picked up anyway
+const SHELL_CACHE = 'die-shell-v1';
+const DATA_CACHE = 'die-data-v1';
+const DATA_HOSTS = ['api.github.com', 'raw.githubusercontent.com'];
+const DATA_LIMIT = 300;
+const NETWORK_TIMEOUT = 10000;
+// When a saved data response was fetched; js/script.js reads it as Offline.HEADER
+const CACHED_AT = 'X-DIE-Cached-At';
+
+const SHELL = [
+    './',
+    'index.html',
+    'changelog.html',
+    'docs.html',
+    'editor.html',
+    '404.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'js/script.js',
+    'js/sg-worker.js',
+    // One catalog per I18n.LOCALES entry besides English
+    'i18n/de.json',
+    'i18n/ru.json',
+    'i18n/zh.json',
+    'i18n/ar.json',
+    'fonts/Inter-Regular.woff2',
+    'fonts/Inter-Medium.woff2',
+    'fonts/Inter-SemiBold.woff2',
+    'fonts/Inter-Bold.woff2',
+    'fonts/Inter-ExtraBold.woff2',
+    'favicon.png',
+    'favicon.svg',
+    'art.png',
+    'signatures/index.json'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL);
+        // The scripts the file inspector runs are listed in their index
+        const index = await cache.match('signatures/index.json');
+        const { files } = await index.json();
+        await cache.addAll(files.map(name => `signatures/${name}`));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('die-') && name !== SHELL_CACHE && name !== DATA_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin === location.origin) {
+        event.respondWith(fromShell(event));
+    } else if (DATA_HOSTS.includes(url.hostname) && !/octet-stream/.test(request.headers.get('Accept') || '')) {
+        // Release asset downloads ask for octet-stream and are left alone
+        event.respondWith(fromNetwork(event));
+    }
+});
+
+// The saved copy answers at once and the network refreshes it for next time
+async function fromShell(event) {
+    const request = event.request;
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const update = fetch(request).then(async resp => {
+        if (resp.ok && resp.type === 'basic') await cache.put(request, resp.clone());
+        return resp;
+    });
+    if (!cached) return update;
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+}
+
+// The network answers unless it fails, returns a server error or takes
+// longer than NETWORK_TIMEOUT; then the last good copy does, stamped with
+// CACHED_AT so the page can say how old it is
+async function fromNetwork(event) {
+    const request = event.request;
+    const cache = await caches.open(DATA_CACHE);
+    const network = fetch(request).then(async resp => {
+        if (resp.status === 200) await save(cache, request, resp.clone());
+        return resp;
+    });
+    event.waitUntil(network.catch(() => {}));
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (!cached) return network;
+    const timeout = new Promise(resolve => setTimeout(() => resolve(null), NETWORK_TIMEOUT));
+    try {
+        const resp = await Promise.race([network, timeout]);
+        return resp && resp.status < 500 ? resp : cached;
+    } catch {
+        return cached;
+    }
+}
+
+async function save(cache, request, resp) {
+    const headers = new Headers(resp.headers);
+    headers.set(CACHED_AT, String(Date.now()));
+    await cache.put(request, new Response(await resp.blob(), {
+        status: resp.status,
+        statusText: resp.statusText,
+        headers
+    }));
+    // put() moves a key to the end, so the front holds the longest-unrefreshed
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - DATA_LIMIT)).map(key => cache.delete(key)));
+}
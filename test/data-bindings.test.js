@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite } = require('./helpers/site');
+
+// A [data-die-source] container inside a section; only what scan() and
+// observeDeferred() read
+function container(sources, { defer = false } = {}) {
+    const section = { nodeName: 'SECTION' };
+    const dataset = { dieSource: sources };
+    if (defer) dataset.dieDefer = '';
+    return { dataset, deferred: defer, section, closest: () => section, removeAttribute() {} };
+}
+
+function root(containers) {
+    return {
+        querySelectorAll(selector) {
+            if (selector === '[data-die-bind]') return [];
+            if (selector.includes(':not([data-die-defer])')) return containers.filter(c => !c.deferred);
+            if (selector.includes('[data-die-defer]')) return containers.filter(c => c.deferred);
+            return containers;
+        }
+    };
+}
+
+function observerStub() {
+    const observers = [];
+    class IntersectionObserver {
+        constructor(callback) {
+            this.callback = callback;
+            this.targets = new Set();
+            observers.push(this);
+        }
+
+        observe(target) {
+            this.targets.add(target);
+        }
+
+        unobserve(target) {
+            this.targets.delete(target);
+        }
+
+        disconnect() {
+            this.targets.clear();
+        }
+    }
+    // Brings a target near the viewport
+    const reveal = target => observers
+        .filter(o => o.targets.has(target))
+        .forEach(o => o.callback([{ target, isIntersecting: true }]));
+    return { IntersectionObserver, reveal };
+}
+
+function setup(containers) {
+    const { IntersectionObserver, reveal } = observerStub();
+    const requests = [];
+    const site = loadSite({
+        IntersectionObserver,
+        fetch: async url => {
+            requests.push(String(url));
+            return new Response('{}', { status: 404 });
+        }
+    });
+    site('this').testRoot = root(containers);
+    const bindings = site('new DataBindings(new GitHubAPI(), testRoot)');
+    return { site, bindings, requests, reveal };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test('deferred sources wait until their section is near', async () => {
+    const ecosystem = container('ecosystem', { defer: true });
+    const { site, bindings, requests, reveal } = setup([container('languages'), ecosystem]);
+    await bindings.start();
+    await settle();
+    const api = site('CONFIG').GITHUB_API;
+    assert.ok(requests.some(url => url.endsWith('/languages')));
+    assert.ok(!requests.some(url => url.includes('XPEViewer')), 'no ecosystem request before scrolling');
+
+    reveal(ecosystem.section);
+    await settle();
+    const tools = site('CONFIG').ECOSYSTEM;
+    const toolRequests = requests.filter(url => tools.some(t => url.startsWith(`${api}/repos/${t.repo}`)));
+    // One request per tool
+    assert.deepStrictEqual(toolRequests.sort(), Array.from(tools, t => `${api}/repos/${t.repo}`).sort());
+
+    reveal(ecosystem.section);
+    await settle();
+    assert.strictEqual(requests.filter(url => tools.some(t => url.startsWith(`${api}/repos/${t.repo}`))).length, tools.length);
+});
+
+test('a source that is also used eagerly is not deferred', async () => {
+    const { bindings } = setup([container('languages'), container('languages', { defer: true })]);
+    const sources = bindings.scan();
+    assert.ok(sources.has('languages'));
+    assert.strictEqual(bindings.deferred.size, 0);
+});
+
+test('whenNear waits for the target, or calls back at once without an observer', () => {
+    const { IntersectionObserver, reveal } = observerStub();
+    const target = {};
+    let calls = 0;
+    loadSite({ IntersectionObserver })('Utils').whenNear(target, () => calls++);
+    assert.strictEqual(calls, 0);
+    reveal(target);
+    reveal(target);
+    assert.strictEqual(calls, 1);
+
+    loadSite()('Utils').whenNear(target, () => calls++);
+    assert.strictEqual(calls, 2);
+});
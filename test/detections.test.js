@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite } = require('./helpers/site');
+
+const site = loadSite();
+
+function classify(commits) {
+    site('this').testCommits = commits;
+    return JSON.parse(site('JSON.stringify(DetectionsFeed.classify(testCommits))'))
+        .map(c => `${c.change} ${c.path}`)
+        .sort();
+}
+
+const commit = (sha, date, files) => ({ sha, date, files });
+const file = (name, status, previous = null) => ({ name, status, previous, sha: `${name}@${status}` });
+
+test('added, edited and removed files net out across commits', () => {
+    assert.deepStrictEqual(classify([
+        commit('a', '2024-01-01T00:00:00Z', [file('db/PE/packer_New.sg', 'added'), file('db/PE/packer_Old.sg', 'removed')]),
+        commit('b', '2024-01-02T00:00:00Z', [file('db/PE/packer_New.sg', 'modified'), file('db/PE/packer_UPX.sg', 'modified')]),
+        commit('c', '2024-01-03T00:00:00Z', [file('db/PE/packer_Gone.sg', 'added')]),
+        commit('d', '2024-01-04T00:00:00Z', [file('db/PE/packer_Gone.sg', 'removed'), file('README.md', 'modified')])
+    ]), ['added db/PE/packer_New.sg', 'modified db/PE/packer_UPX.sg', 'removed db/PE/packer_Old.sg']);
+});
+
+test('a rename removes the old path and adds the new one', () => {
+    assert.deepStrictEqual(classify([
+        commit('a', '2024-01-01T00:00:00Z', [file('db/PE/protector_X.sg', 'renamed', 'db/PE/packer_X.sg')])
+    ]), ['added db/PE/protector_X.sg', 'removed db/PE/packer_X.sg']);
+});
+
+test('a file renamed after it was added this week is still one new file', () => {
+    assert.deepStrictEqual(classify([
+        commit('b', '2024-01-02T00:00:00Z', [file('db/ELF/packer_B.sg', 'renamed', 'db/ELF/packer_A.sg')]),
+        commit('a', '2024-01-01T00:00:00Z', [file('db/ELF/packer_A.sg', 'added')])
+    ]), ['added db/ELF/packer_B.sg']);
+});
+
+test('renames into or out of the database count as added or removed', () => {
+    assert.deepStrictEqual(classify([
+        commit('a', '2024-01-01T00:00:00Z', [
+            file('db/PE/packer_In.sg', 'renamed', 'drafts/packer_In.sg'),
+            file('attic/packer_Out.sg', 'renamed', 'db/PE/packer_Out.sg')
+        ])
+    ]), ['added db/PE/packer_In.sg', 'removed db/PE/packer_Out.sg']);
+});
+
+test('the digest counts each type with its own phrase', () => {
+    const count = (type, n) => site(`DetectionsFeed.typeCount(${JSON.stringify(type)}, ${n})`);
+    assert.strictEqual(count('packer', 1), '1 packer');
+    assert.strictEqual(count('library', 3), '3 libraries');
+    assert.strictEqual(count('sfx', 2), '2 SFX archives');
+    assert.strictEqual(count('dongle protection', 2), '2 signatures of type dongle protection');
+    assert.strictEqual(count('constructor', 1), '1 signature of type constructor');
+});
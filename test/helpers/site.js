@@ -0,0 +1,78 @@
+// ============================================
+// DETECT IT EASY - TEST HELPER
+// Evaluates js/script.js in a fresh VM context with just enough of a browser
+// for its top-level code. Returns a function that evaluates an expression in
+// that context, so tests reach the script's modules by name.
+//
+// Usage: node --test test/
+// ============================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT = path.join(__dirname, '..', '..', 'js', 'script.js');
+
+function element() {
+    const noop = () => {};
+    return {
+        addEventListener: noop,
+        setAttribute: noop,
+        appendChild: noop,
+        querySelectorAll: () => [],
+        classList: { add: noop, remove: noop, toggle: noop },
+        style: {},
+        dataset: {}
+    };
+}
+
+function storage() {
+    const data = new Map();
+    return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key),
+        key: i => [...data.keys()][i] ?? null,
+        get length() {
+            return data.size;
+        }
+    };
+}
+
+// globals: extra or replacement globals, e.g. { fetch }
+function loadSite(globals = {}) {
+    const noop = () => {};
+    const context = {
+        console, URL, URLSearchParams, TextDecoder, TextEncoder, Response, Headers,
+        setTimeout, clearTimeout, setInterval, clearInterval,
+        localStorage: storage(),
+        location: { href: 'https://example.test/', origin: 'https://example.test', protocol: 'https:', hash: '', pathname: '/', search: '' },
+        navigator: { userAgent: 'node', language: 'en', languages: ['en'], onLine: true },
+        performance: { now: () => Date.now() },
+        document: {
+            readyState: 'loading',
+            currentScript: { src: 'https://example.test/js/script.js' },
+            documentElement: element(),
+            body: element(),
+            addEventListener: noop,
+            createElement: element,
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => []
+        },
+        fetch: () => Promise.reject(new TypeError('No network in tests')),
+        ...globals
+    };
+    context.window = Object.assign(context, {
+        addEventListener: noop,
+        matchMedia: () => ({ matches: false, addEventListener: noop }),
+        innerWidth: 1200
+    });
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(SCRIPT, 'utf8'), context, { filename: SCRIPT });
+    return expression => vm.runInContext(expression, context);
+}
+
+module.exports = { loadSite };
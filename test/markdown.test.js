@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite } = require('./helpers/site');
+
+const site = loadSite();
+const render = source => site('Markdown').render(source);
+
+test('links and images keep http(s) and relative URLs', () => {
+    assert.match(render('[site](https://example.com/a)'), /<a href="https:\/\/example\.com\/a" target="_blank" rel="noopener">site<\/a>/);
+    assert.match(render('[wiki](docs.html#/Home)'), /<a href="docs\.html#\/Home">wiki<\/a>/);
+    assert.match(render('![logo](images/logo.png)'), /<img src="images\/logo\.png"/);
+});
+
+test('other schemes render as plain text', () => {
+    for (const href of ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html,x', 'vbscript:msgbox']) {
+        const html = render(`[x](${href})`);
+        assert.doesNotMatch(html, /<a /, href);
+        assert.match(html, /x/);
+    }
+    assert.doesNotMatch(render('![x](javascript:alert(1))'), /<img /);
+});
+
+test('control characters and spaces cannot hide a scheme', () => {
+    for (const href of ['\x01javascript:alert`document.domain`', '\x00\x1Fjavascript:alert(1)', 'java\tscript:alert(1)']) {
+        const html = render(`[x](${href})`);
+        assert.doesNotMatch(html, /<a /, JSON.stringify(href));
+    }
+    assert.doesNotMatch(render('![x](\x01javascript:alert(1))'), /<img /);
+});
+
+test('Template.url turns the same inputs into #', () => {
+    const url = site('Template').url;
+    assert.strictEqual(url('\x01javascript:alert(1)'), '#');
+    assert.strictEqual(url('javascript:alert(1)'), '#');
+    assert.strictEqual(url('https://example.com/'), 'https://example.com/');
+});
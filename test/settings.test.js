@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite } = require('./helpers/site');
+
+test('a locale saved under the old cache key is taken over', () => {
+    const site = loadSite();
+    const storage = site('localStorage');
+    storage.setItem('die_locale', 'de');
+    assert.strictEqual(site('I18n.detect()'), 'de');
+    assert.strictEqual(storage.getItem('die_locale'), null);
+    assert.strictEqual(storage.getItem(site('I18n.STORAGE_KEY')), 'de');
+});
+
+test('a theme saved under the old cache key is taken over', () => {
+    const site = loadSite();
+    const storage = site('localStorage');
+    storage.setItem('die_theme', 'contrast');
+    site('Theme.init()');
+    assert.strictEqual(site('Theme.choice'), 'contrast');
+    assert.strictEqual(storage.getItem('die_theme'), null);
+    assert.strictEqual(storage.getItem(site('Theme.STORAGE_KEY')), 'contrast');
+});
+
+test('signature drafts saved under the old cache key are taken over', () => {
+    const site = loadSite();
+    const storage = site('localStorage');
+    const drafts = { current: 'a', items: [{ id: 'a', format: 'PE', source: 'init("packer", "X");', updated: 1 }] };
+    storage.setItem('die_sg_drafts', JSON.stringify(drafts));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(site('SignatureEditor.prototype.loadDrafts()'))), drafts);
+    assert.strictEqual(storage.getItem('die_sg_drafts'), null);
+    assert.deepStrictEqual(JSON.parse(storage.getItem(site('SignatureEditor.STORAGE_KEY'))), drafts);
+});
+
+test('clearing the localStorage cache keeps settings', () => {
+    const site = loadSite();
+    const storage = site('localStorage');
+    storage.setItem(site('I18n.STORAGE_KEY'), 'ru');
+    storage.setItem(site('Theme.STORAGE_KEY'), 'light');
+    storage.setItem(site('SignatureEditor.STORAGE_KEY'), '{"current":null,"items":[]}');
+    storage.setItem('die_stats', JSON.stringify({ data: 1, timestamp: 1 }));
+    site('new CacheLocalStore().clear()');
+    assert.strictEqual(storage.getItem('die_stats'), null);
+    assert.strictEqual(site('I18n.detect()'), 'ru');
+    assert.strictEqual(storage.getItem(site('Theme.STORAGE_KEY')), 'light');
+    assert.notStrictEqual(storage.getItem(site('SignatureEditor.STORAGE_KEY')), null);
+});
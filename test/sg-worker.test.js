@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WORKER = path.join(__dirname, '..', 'js', 'sg-worker.js');
+
+// Evaluates js/sg-worker.js with a global whose network APIs are inherited,
+// like WorkerGlobalScope's, and runs one scan message through it
+function loadWorker() {
+    const messages = [];
+    const listeners = [];
+    const context = { messages, listeners };
+    vm.createContext(context);
+    vm.runInContext(`
+        const scope = {
+            fetch: () => 'fetched',
+            XMLHttpRequest: function XMLHttpRequest() {},
+            importScripts: () => 'imported',
+            postMessage: message => messages.push(message),
+            addEventListener: (type, listener) => listeners.push(listener)
+        };
+        Object.setPrototypeOf(scope, Object.getPrototypeOf(globalThis));
+        Object.setPrototypeOf(globalThis, scope);
+        globalThis.self = globalThis;
+    `, context);
+    const scope = vm.runInContext('Object.getPrototypeOf(self)', context);
+    vm.runInContext(fs.readFileSync(WORKER, 'utf8'), context, { filename: WORKER });
+    return {
+        scope,
+        scan(scripts) {
+            messages.length = 0;
+            listeners.forEach(l => l({ data: { buffer: new ArrayBuffer(64), info: null, fileName: 'test.bin', scripts } }));
+            return JSON.parse(JSON.stringify(messages));
+        }
+    };
+}
+
+const outcome = (messages, index) => messages.find(m => m.index === index && (m.type === 'result' || m.type === 'error'));
+
+test('scripts cannot reach network APIs inherited by the global', () => {
+    const worker = loadWorker();
+    assert.strictEqual(worker.scope.fetch, undefined);
+    assert.strictEqual(worker.scope.importScripts, undefined);
+    const messages = worker.scan([
+        { name: 'Binary/a.sg', source: 'function detect() { return Function("return this")().fetch("https://example.test/"); }' },
+        { name: 'Binary/b.sg', source: 'function detect() { return Object.getPrototypeOf(Function("return this")()).importScripts("x.js"); }' }
+    ]);
+    assert.strictEqual(outcome(messages, 0).type, 'error');
+    assert.strictEqual(outcome(messages, 1).type, 'error');
+});
+
+test('scripts run in strict mode', () => {
+    const messages = loadWorker().scan([
+        { name: 'Binary/a.sg', source: 'function detect() { this.leak = 1; }' },
+        { name: 'Binary/b.sg', source: 'function detect() { undeclared = 1; }' }
+    ]);
+    assert.match(outcome(messages, 0).message, /undefined/);
+    assert.match(outcome(messages, 1).message, /undeclared/);
+});
+
+test('the bundled signatures run without errors', () => {
+    const root = path.join(__dirname, '..', 'signatures');
+    const { files } = JSON.parse(fs.readFileSync(path.join(root, 'index.json'), 'utf8'));
+    const scripts = files.map(name => ({ name, source: fs.readFileSync(path.join(root, name), 'utf8') }));
+    const messages = loadWorker().scan(scripts);
+    scripts.forEach((script, index) => assert.strictEqual(outcome(messages, index).type, 'result', script.name));
+    assert.strictEqual(messages[messages.length - 1].type, 'done');
+});
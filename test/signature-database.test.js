@@ -0,0 +1,27 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite } = require('./helpers/site');
+
+const stored = site => JSON.parse(JSON.stringify(site(`CacheManager.get('sig_meta', Infinity)`)));
+
+test('headers saved by one writer are kept by the next', () => {
+    const site = loadSite();
+    site(`SignatureDatabase.saveHeaders({ a: ['packer', 'A'] })`);
+    site(`SignatureDatabase.saveHeaders({ b: ['installer', 'B'] })`);
+    assert.deepStrictEqual(stored(site), { a: ['packer', 'A'], b: ['installer', 'B'] });
+});
+
+test('an index build drops headers for blobs no longer in the tree', () => {
+    const site = loadSite();
+    site(`SignatureDatabase.saveHeaders({ a: ['packer', 'A'], old: ['packer', 'Old'] })`);
+    site(`SignatureDatabase.saveHeaders({ b: ['installer', 'B'] }, new Set(['a', 'b']))`);
+    assert.deepStrictEqual(stored(site), { a: ['packer', 'A'], b: ['installer', 'B'] });
+});
+
+test('headers do not expire with the tree listing', () => {
+    const site = loadSite();
+    site(`CacheManager.memory.set('sig_meta', { key: 'sig_meta', data: { a: ['packer', 'A'] }, timestamp: 0, used: 0 })`);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(site('SignatureDatabase.knownHeaders()'))), { a: ['packer', 'A'] });
+});
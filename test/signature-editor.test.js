@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadSite } = require('./helpers/site');
+
+const site = loadSite();
+const check = (source, format) => JSON.parse(JSON.stringify(site('SignatureEditor').check(source, format)));
+const bySeverity = (problems, severity) => problems.filter(p => p.severity === severity);
+
+const script = body => `init("protector", "Test");
+
+function detect(bShowType, bShowVersion, bShowOptions) {
+${body}
+    return result(bShowType, bShowVersion, bShowOptions);
+}
+`;
+
+test('the bundled signatures have no errors', () => {
+    const root = path.join(__dirname, '..', 'signatures');
+    const { files } = JSON.parse(fs.readFileSync(path.join(root, 'index.json'), 'utf8'));
+    for (const name of files) {
+        const problems = check(fs.readFileSync(path.join(root, name), 'utf8'), name.split('/')[0]);
+        assert.deepStrictEqual(bySeverity(problems, 'error'), [], name);
+    }
+});
+
+test('code only strict mode rejects is a warning, not an error', () => {
+    const problems = check(script(`
+    with (PE) { bDetected = isPE() ? 010 : 0; }`), 'PE');
+    assert.deepStrictEqual(bySeverity(problems, 'error'), []);
+    assert.ok(bySeverity(problems, 'warning').some(p => p.message.startsWith('The in-browser runner uses strict mode')));
+});
+
+test('DIE API the in-browser runner lacks is a note, not an error', () => {
+    const problems = check(script(`
+    if (PE.isPEPlus() && PE.section[0].Name == ".text") {
+        sVersion = PE.getVersionStringInfo("FileVersion") || PE.getFileVersion();
+        bDetected = PE.isResourcePresent("RT_VERSION") || PE.isNetObjectPresent("Confuser");
+    }`), 'PE');
+    assert.deepStrictEqual(bySeverity(problems, 'error'), []);
+    assert.deepStrictEqual(bySeverity(problems, 'note').map(p => p.message.split(' ')[0]).sort(), [
+        'PE.getFileVersion', 'PE.getVersionStringInfo', 'PE.isNetObjectPresent', 'PE.isPEPlus', 'PE.isResourcePresent', 'PE.section'
+    ]);
+});
+
+test('a known member in the wrong case is an error with a suggestion', () => {
+    const errors = bySeverity(check(script('    bDetected = PE.isdll();'), 'PE'), 'error');
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /Did you mean isDll\(\)\?/);
+});
+
+test('another format\'s member is an error', () => {
+    const errors = bySeverity(check(script('    bDetected = PE.isDll();'), 'ELF'), 'error');
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /only answers for PE files/);
+    assert.deepStrictEqual(bySeverity(check(script('    bDetected = PE.isDll();'), 'Binary'), 'error'), []);
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { loadSite } = require('./helpers/site');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'snapshot.js');
+const REPO = '/repos/horsicq/Detect-It-Easy';
+const ENGINE = '/repos/horsicq/DIE-engine';
+
+const release = (tag, date) => ({
+    tag_name: tag,
+    name: `Detect It Easy ${tag}`,
+    published_at: date,
+    html_url: `https://github.com/horsicq/DIE-engine/releases/tag/${tag}`,
+    body: '* Fixes',
+    prerelease: false,
+    assets: [{ id: 1, name: `die_win64_portable_${tag}_x64.zip`, size: 1024, download_count: 10, browser_download_url: `https://example.test/${tag}.zip` }]
+});
+
+// Paths the script requests, with the query string it sends
+const ROUTES = {
+    [REPO]: { description: 'Detect It Easy', stargazers_count: 12, forks_count: 3, subscribers_count: 2, open_issues_count: 1 },
+    [`${REPO}/languages`]: { 'C++': 900, JavaScript: 100 },
+    [`${REPO}/commits?per_page=20`]: [{ sha: 'abc', commit: { message: 'Update', author: { name: 'hors', date: '2024-01-02T00:00:00Z' } }, author: { login: 'horsicq' } }],
+    [`${ENGINE}/releases/latest`]: release('3.10', '2024-06-01T00:00:00Z'),
+    [`${ENGINE}/releases?per_page=100&page=1`]: [release('3.10', '2024-06-01T00:00:00Z')],
+    [`${ENGINE}/releases?per_page=100&page=2`]: [release('3.09', '2024-01-01T00:00:00Z')],
+    [`${REPO}/contributors?anon=1&per_page=100&page=1`]: [{ login: 'horsicq', type: 'User', contributions: 900 }],
+    [`${ENGINE}/contributors?anon=1&per_page=100&page=1`]: [{ login: 'horsicq', type: 'User', contributions: 300 }]
+};
+
+function mockApi(routes) {
+    const requests = [];
+    const server = http.createServer((req, resp) => {
+        requests.push(req);
+        if (!(req.url in routes)) {
+            resp.writeHead(404, { 'Content-Type': 'application/json' });
+            resp.end('{"message":"Not Found"}');
+            return;
+        }
+        const headers = { 'Content-Type': 'application/json' };
+        if (req.url === `${ENGINE}/releases?per_page=100&page=1`) {
+            headers.Link = `<http://${req.headers.host}${ENGINE}/releases?per_page=100&page=2>; rel="next"`;
+        }
+        resp.writeHead(200, headers);
+        resp.end(JSON.stringify(routes[req.url]));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        server,
+        requests,
+        base: `http://127.0.0.1:${server.address().port}`
+    })));
+}
+
+function snapshot(args, env = {}) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [SCRIPT, ...args], { env: { ...process.env, GITHUB_TOKEN: '', ...env }, timeout: 30000 },
+            (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+}
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'die-snapshot-'));
+}
+
+const read = (dir, name) => JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+
+test('writes one versioned file per resource from the API', async () => {
+    const api = await mockApi(ROUTES);
+    const out = tempDir();
+    try {
+        const { code, stderr } = await snapshot(['--api', api.base, '--out', out], { GITHUB_TOKEN: 'secret' });
+        assert.strictEqual(code, 0, stderr);
+        assert.deepStrictEqual(fs.readdirSync(out).sort(),
+            ['commits.json', 'contributors.json', 'languages.json', 'latest-release.json', 'releases.json', 'repo.json']);
+
+        const repo = read(out, 'repo');
+        assert.strictEqual(repo.version, 2);
+        assert.strictEqual(repo.source, api.base);
+        assert.ok(!Number.isNaN(Date.parse(repo.generatedAt)));
+        assert.deepStrictEqual(repo.data, ROUTES[REPO]);
+        // Paging follows rel="next"
+        assert.deepStrictEqual(read(out, 'releases').data.map(r => r.tag_name), ['3.10', '3.09']);
+        assert.deepStrictEqual(Object.keys(read(out, 'contributors').data), ['horsicq/Detect-It-Easy', 'horsicq/DIE-engine']);
+        assert.ok(api.requests.every(r => r.headers.authorization === 'Bearer secret'));
+    } finally {
+        api.server.close();
+        fs.rmSync(out, { recursive: true, force: true });
+    }
+});
+
+test('a failing resource fails the run but keeps the other files and its old copy', async () => {
+    const routes = { ...ROUTES };
+    delete routes[`${REPO}/languages`];
+    const api = await mockApi(routes);
+    const out = tempDir();
+    const old = { version: 2, generatedAt: '2024-01-01T00:00:00.000Z', source: 'old', data: { C: 1 } };
+    fs.writeFileSync(path.join(out, 'languages.json'), JSON.stringify(old));
+    try {
+        const { code, stderr } = await snapshot(['--api', api.base, '--out', out]);
+        assert.strictEqual(code, 1);
+        assert.match(stderr, /languages: HTTP 404/);
+        assert.deepStrictEqual(read(out, 'languages'), old);
+        assert.deepStrictEqual(read(out, 'repo').data, ROUTES[REPO]);
+        assert.ok(!fs.readdirSync(out).some(name => name.endsWith('.tmp')));
+    } finally {
+        api.server.close();
+        fs.rmSync(out, { recursive: true, force: true });
+    }
+});
+
+test('the client reads the files it writes', async () => {
+    const api = await mockApi(ROUTES);
+    const out = tempDir();
+    try {
+        assert.strictEqual((await snapshot(['--api', api.base, '--out', out])).code, 0);
+        const site = loadSite({
+            fetch: async url => {
+                const file = path.join(out, path.basename(new URL(url).pathname));
+                return fs.existsSync(file) ? new Response(fs.readFileSync(file)) : new Response('', { status: 404 });
+            }
+        });
+        const releases = await site(`Snapshot.use('releases', data => data.map(r => GitHubAPI.release(r)))`);
+        assert.deepStrictEqual(releases.map(r => r.tag), ['3.10', '3.09']);
+        const stats = await site(`Snapshot.use('repo', data => GitHubAPI.repoStats(data))`);
+        assert.strictEqual(stats.stars, 12);
+        assert.strictEqual(await site(`Snapshot.use('missing', data => data)`), null);
+    } finally {
+        api.server.close();
+        fs.rmSync(out, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,26 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite } = require('./helpers/site');
+
+const site = loadSite();
+const resolve = href => site('Wiki').resolve(href, 'Home');
+
+test('wiki links become site routes and other http(s) links stay', () => {
+    assert.strictEqual(resolve('How-to-write-your-scripts'), 'docs.html#/How-to-write-your-scripts');
+    assert.strictEqual(resolve('https://github.com/horsicq/Detect-It-Easy/wiki/Home#usage'), 'docs.html#/Home/usage');
+    assert.strictEqual(resolve('#usage'), 'docs.html#/Home/usage');
+    assert.strictEqual(resolve('https://example.com/a'), 'https://example.com/a');
+});
+
+test('links with any other scheme are dropped', () => {
+    for (const href of ['javascript:alert(1)', '\x01javascript:alert`document.domain`', 'java\tscript:alert(1)', 'data:text/html,x', 'file:///etc/passwd']) {
+        assert.strictEqual(resolve(href), null, JSON.stringify(href));
+    }
+});
+
+test('the rendered page has no link for them', () => {
+    const html = site('Markdown').render('[x](\x01javascript:alert`document.domain`)', { resolveLink: resolve });
+    assert.doesNotMatch(html, /<a /);
+});